@@ -1,8 +1,17 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startProjectPurgeJob } = require('./src/utils/projectPurge');
+const { startRecurrenceJob } = require('./src/utils/recurrence');
+const { getTransport } = require('./src/utils/mailer');
+
+// Refuse to start with a missing or unknown mail driver rather than failing
+// on the first email
+getTransport();
 
 connectDB();
+startProjectPurgeJob();
+startRecurrenceJob();
 
 const PORT = process.env.PORT || 5000;
 
@@ -6,6 +6,7 @@ const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const errorHandler = require('./middlewares/errorHandler');
+const { getUploadDir } = require('./middlewares/upload');
 
 const routes = require('./routes');
 
@@ -63,6 +64,11 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Uploaded images are embedded by clients on other origins
+app.use('/uploads', express.static(getUploadDir(), {
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 app.use('/api', routes);
 
 app.get('/health', (req, res) => {
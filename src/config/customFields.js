@@ -0,0 +1,10 @@
+// Types of the custom fields a project can define on its tasks
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'single-select', 'multi-select', 'user'];
+
+// Field types whose values must be one of the field's options
+const SELECT_FIELD_TYPES = ['single-select', 'multi-select'];
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  SELECT_FIELD_TYPES
+};
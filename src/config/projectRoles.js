@@ -0,0 +1,31 @@
+// Project roles from least to most privileged
+const PROJECT_ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+
+// Roles that can be given to a team attached to a project. Ownership always
+// belongs to individual members.
+const TEAM_PROJECT_ROLES = ['viewer', 'commenter', 'editor', 'admin'];
+
+const DEFAULT_PROJECT_ROLE = 'editor';
+
+// Minimum project role required for each action
+const PROJECT_PERMISSIONS = {
+  'project:read': 'viewer',
+  'comment:create': 'commenter',
+  'task:create': 'editor',
+  'task:update': 'editor',
+  'task:delete': 'admin',
+  'milestone:manage': 'editor',
+  'milestone:delete': 'admin',
+  'sprint:manage': 'editor',
+  'sprint:delete': 'admin',
+  'project:update': 'admin',
+  'members:manage': 'admin',
+  'project:delete': 'owner'
+};
+
+module.exports = {
+  PROJECT_ROLES,
+  TEAM_PROJECT_ROLES,
+  DEFAULT_PROJECT_ROLE,
+  PROJECT_PERMISSIONS
+};
@@ -0,0 +1,21 @@
+// Personal access tokens are recognised by this prefix in the bearer header
+const ACCESS_TOKEN_PREFIX = 'tfpat_';
+
+// Scopes that can be granted to personal access tokens. Session (JWT) logins
+// are not scope-restricted.
+const ACCESS_TOKEN_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'projects:admin',
+  'tasks:read',
+  'tasks:write',
+  'comments:read',
+  'comments:write',
+  'activity:read',
+  'teams:read',
+  'teams:write',
+  'workspaces:read',
+  'users:read'
+];
+
+module.exports = { ACCESS_TOKEN_PREFIX, ACCESS_TOKEN_SCOPES };
@@ -0,0 +1,16 @@
+// Every workflow status belongs to one of these categories, in board order
+const STATUS_CATEGORIES = ['not-started', 'active', 'done'];
+
+// Statuses of new projects that do not define their own, and of projects
+// created before workflows could be customised
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To do', category: 'not-started' },
+  { key: 'in-progress', name: 'In progress', category: 'active' },
+  { key: 'review', name: 'Review', category: 'active' },
+  { key: 'completed', name: 'Completed', category: 'done' }
+];
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_STATUSES
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { hashToken } = require('../utils/sessions');
+const { ACCESS_TOKEN_PREFIX } = require('../config/scopes');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const { validateAccessToken } = require('../middlewares/validation');
+
+// @desc    Get personal access tokens of current user
+// @route   GET /api/auth/tokens
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List the current user's personal access tokens
+ *     tags: [Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Access tokens retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       tokenPrefix:
+ *                         type: string
+ *                       scopes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       expiresAt:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                       revokedAt:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getAccessTokens = async (req, res, next) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user.id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: The plain token is only returned in this response. Use it as a bearer token.
+ *     tags: [Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [projects:read, projects:write, projects:admin, tasks:read, tasks:write, comments:read, comments:write, activity:read, teams:read, teams:write, workspaces:read, users:read]
+ *               expiresInDays:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Access token created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+exports.createAccessToken = async (req, res, next) => {
+  try {
+    const { error, value } = validateAccessToken(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const accessToken = await AccessToken.create({
+      user: req.user.id,
+      name: value.name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+      scopes: value.scopes,
+      expiresAt: new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    await logSecurityEvent(req, {
+      type: 'access-token-created',
+      user: req.user._id,
+      metadata: { accessToken: accessToken._id, name: accessToken.name, scopes: accessToken.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...accessToken.toObject(),
+        tokenHash: undefined,
+        token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Access token revoked successfully
+ *       404:
+ *         description: Access token not found
+ *       401:
+ *         description: Unauthorized
+ */
+exports.revokeAccessToken = async (req, res, next) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: 'access-token-revoked',
+      user: req.user._id,
+      metadata: { accessToken: accessToken._id, name: accessToken.name }
+    });
+
+    res.json({
+      success: true,
+      data: accessToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,6 @@
 const ActivityLog = require('../models/ActivityLog');
 const Project = require('../models/Project');
+const { accessibleProjectsFilter, hasProjectPermission } = require('../utils/projectAccess');
 
 /**
  * @swagger
@@ -67,10 +68,10 @@ exports.getActivityLogs = async (req, res, next) => {
   try {
     const { projectId, userId, page = 1, limit = 20, sort = '-createdAt' } = req.query;
 
-    let query = {};
+    let query = { workspace: req.workspace._id };
 
     if (projectId) {
-      const project = await Project.findById(projectId);
+      const project = await Project.findOne({ _id: projectId, workspace: req.workspace._id, deletedAt: null });
       if (!project) {
         return res.status(404).json({
           success: false,
@@ -78,7 +79,7 @@ exports.getActivityLogs = async (req, res, next) => {
         });
       }
 
-      if (!project.members.includes(req.user.id) && project.manager.toString() !== req.user.id) {
+      if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to view activity logs for this project'
@@ -86,6 +87,15 @@ exports.getActivityLogs = async (req, res, next) => {
       }
 
       query.project = projectId;
+    } else if (!req.workspace.isOwner(req.user.id) && req.user.role !== 'admin') {
+      // Members only see activity of projects they belong to, plus their own
+      const projectIds = await Project.find({
+        workspace: req.workspace._id,
+        deletedAt: null,
+        ...(await accessibleProjectsFilter(req.user.id, req.workspace._id))
+      }).distinct('_id');
+
+      query.$or = [{ project: { $in: projectIds } }, { user: req.user.id }];
     }
 
     if (userId) {
@@ -173,7 +183,7 @@ exports.getProjectActivityLogs = async (req, res, next) => {
     const { projectId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, workspace: req.workspace._id, deletedAt: null });
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -181,7 +191,7 @@ exports.getProjectActivityLogs = async (req, res, next) => {
       });
     }
 
-    if (!project.members.includes(req.user.id) && project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view activity logs for this project'
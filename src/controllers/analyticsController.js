@@ -0,0 +1,167 @@
+const Project = require('../models/Project');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { DAY_MS, MAX_BUCKETS, getProjectAnalytics } = require('../utils/projectAnalytics');
+const { getCriticalPath } = require('../utils/taskDependencies');
+const { validateAnalyticsQuery } = require('../middlewares/validation');
+
+// @desc    Get analytics of a project
+// @route   GET /api/projects/:id/analytics
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/analytics:
+ *   get:
+ *     summary: Get burndown, burnup, cumulative flow, lead and cycle time, throughput and overdue counts
+ *     description: Task status history is rebuilt from the task status changes in the activity
+ *       log. Statuses count as started or finished by their workflow category. Lead and cycle
+ *       time cover tasks finished in the range, in days.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Defaults to 30 days before `to`, or 12 weeks with weekly granularity
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Defaults to now
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Analytics retrieved successfully
+ *       400:
+ *         description: Invalid or too long date range
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getProjectAnalytics = async (req, res, next) => {
+  try {
+    const { error } = validateAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id, deletedAt: null });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const granularity = req.query.granularity || 'day';
+    const periodMs = granularity === 'week' ? 7 * DAY_MS : DAY_MS;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - (granularity === 'week' ? 12 : 30) * periodMs);
+
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if ((to - from) / periodMs > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        message: `The date range cannot span more than ${MAX_BUCKETS} ${granularity}s`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getProjectAnalytics(project, { from, to, granularity })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get critical path of a project
+// @route   GET /api/projects/:id/critical-path
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/critical-path:
+ *   get:
+ *     summary: Get the longest chain of open tasks through their dependencies
+ *     description: Weighs each open task by its estimated hours and follows the dependencies
+ *       between tasks of the project. Each task on the path has its earliest start and finish
+ *       in hours of work from now; `unestimatedTasks` counts tasks on it without an estimate.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Critical path retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getCriticalPath = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id, deletedAt: null });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getCriticalPath(project)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
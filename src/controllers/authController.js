@@ -1,6 +1,72 @@
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
-const { validateUserRegistration } = require('../middlewares/validation');
+const Session = require('../models/Session');
+const { createSession, rotateSession, revokeSessions, hashToken } = require('../utils/sessions');
+const { getRetryAfter, recordFailure, clearFailures } = require('../utils/loginThrottle');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const { createPersonalWorkspace } = require('../utils/workspaces');
+const {
+  findPendingInvitation,
+  isInvitationProjectArchived,
+  joinProjectByInvitation
+} = require('../utils/projectInvitations');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  generateChallengeToken,
+  verifyChallengeToken,
+  consumeChallenge,
+  consumeSecondFactor
+} = require('../utils/twoFactor');
+const {
+  validateUserRegistration,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middlewares/validation');
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${retryAfter} seconds`
+  });
+};
+
+const recordLoginFailure = async (req, email, user, reason) => {
+  const { failures, accountLocked, ipLocked } = await recordFailure(email, req.ip);
+
+  await logSecurityEvent(req, {
+    type: 'login-failed',
+    user: user ? user._id : undefined,
+    email,
+    metadata: { reason, failures }
+  });
+
+  if (accountLocked || ipLocked) {
+    await logSecurityEvent(req, {
+      type: 'lockout',
+      user: user ? user._id : undefined,
+      email,
+      metadata: { account: accountLocked, ip: ipLocked }
+    });
+  }
+};
+
+const buildAuthPayload = (user, tokens) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+  ...tokens
+});
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -24,8 +90,10 @@ const { validateUserRegistration } = require('../middlewares/validation');
  *                 type: string
  *               password:
  *                 type: string
- *               role:
+ *               invitationToken:
  *                 type: string
+ *                 description: Token of a project invitation sent to this email; the new
+ *                   account joins the project and its email counts as verified
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -47,10 +115,20 @@ const { validateUserRegistration } = require('../middlewares/validation');
  *                       type: string
  *                     role:
  *                       type: string
+ *                     isEmailVerified:
+ *                       type: boolean
+ *                     twoFactorEnabled:
+ *                       type: boolean
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: The invited project is archived
  *         content:
  *           application/json:
  *             schema:
@@ -71,7 +149,7 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, invitationToken } = req.body;
 
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -81,21 +159,56 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    const user = await User.create({
+    const invitation = invitationToken && await findPendingInvitation(invitationToken);
+    if (invitationToken && (!invitation || invitation.email !== email.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid, has expired or was sent to a different email address'
+      });
+    }
+
+    if (invitation && (await isInvitationProjectArchived(invitation))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const user = new User({
       name,
       email,
-      password,
-      role
+      password
     });
 
+    // The invitation link was delivered to this address, which verifies it
+    let verificationToken;
+    if (invitation) {
+      user.isEmailVerified = true;
+    } else {
+      verificationToken = user.createEmailVerificationToken();
+    }
+    await user.save();
+    await createPersonalWorkspace(user);
+
+    const project = invitation && await joinProjectByInvitation(invitation, user);
+
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        console.error('Verification email failed:', mailError);
+      }
+    }
+
+    const tokens = await createSession(user, req);
+
     res.status(201).json({
       success: true,
       data: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id)
+        ...buildAuthPayload(user, tokens),
+        ...(project && {
+          project: { _id: project._id, name: project.name, workspace: project.workspace }
+        })
       }
     });
   } catch (error) {
@@ -112,6 +225,9 @@ exports.register = async (req, res, next) => {
  * /api/auth/login:
  *   post:
  *     summary: Login a user
+ *     description: When two-factor authentication is enabled no tokens are issued; instead
+ *       the response contains `twoFactorRequired` and a short-lived `challengeToken` to
+ *       complete the login through `POST /api/auth/login/2fa`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -145,8 +261,16 @@ exports.register = async (req, res, next) => {
  *                       type: string
  *                     role:
  *                       type: string
+ *                     isEmailVerified:
+ *                       type: boolean
+ *                     twoFactorEnabled:
+ *                       type: boolean
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       400:
  *         description: Validation error
  *         content:
@@ -170,8 +294,14 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    const retryAfter = await getRetryAfter(email, req.ip);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
     const user = await User.findOne({ email }).select('+password');
     if (!user || !(await user.matchPassword(password))) {
+      await recordLoginFailure(req, email, user, user ? 'invalid-password' : 'unknown-email');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -185,15 +315,35 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required, please check your email or use forgot password'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await generateChallengeToken(user._id)
+        }
+      });
+    }
+
+    await clearFailures(email);
+    const tokens = await createSession(user, req);
+
+    await logSecurityEvent(req, {
+      type: 'login',
+      user: user._id,
+      email: user.email
+    });
+
     res.json({
       success: true,
-      data: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        token: generateToken(user._id)
-      }
+      data: buildAuthPayload(user, tokens)
     });
   } catch (error) {
     next(error);
@@ -256,3 +406,1029 @@ exports.getMe = async (req, res, next) => {
     next(error);
   }
 };
+
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate a refresh token and issue a new access token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or already used
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result && result.reuseDetected) {
+      await logSecurityEvent(req, {
+        type: 'refresh-token-reuse',
+        user: result.session.user,
+        description: 'Refresh token reused, session revoked',
+        metadata: { session: result.session._id }
+      });
+    }
+
+    if (!result || result.reuseDetected) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await revokeSessions(result.session.user, 'revoked');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout and revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    await logSecurityEvent(req, {
+      type: 'logout',
+      user: req.user._id,
+      metadata: { session: req.authSession._id }
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                       expiresAt:
+ *                         type: string
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a single session of current user
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: 'session-revoked',
+      user: req.user._id,
+      metadata: { session: session._id }
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all sessions of current user
+// @route   DELETE /api/auth/sessions
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of the current user, including the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: number
+ *       401:
+ *         description: Unauthorized
+ */
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeSessions(req.user.id, 'revoke-all');
+
+    await logSecurityEvent(req, {
+      type: 'sessions-revoked',
+      user: req.user._id,
+      metadata: { revoked }
+    });
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { error } = validateForgotPassword(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Same response whether or not the account exists, so the endpoint
+    // cannot be used to discover registered emails.
+    const response = {
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      return next(mailError);
+    }
+
+    await logSecurityEvent(req, {
+      type: 'password-reset-requested',
+      user: user._id,
+      email: user.email
+    });
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using the token from the reset email
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or validation error
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { error } = validateResetPassword(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.params.token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    await revokeSessions(user._id, 'revoke-all');
+    await clearFailures(user.email);
+
+    await logSecurityEvent(req, {
+      type: 'password-reset',
+      user: user._id,
+      email: user.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password of current user
+// @route   PUT /api/auth/password
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. All other sessions are revoked.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is incorrect
+ */
+exports.updatePassword = async (req, res, next) => {
+  try {
+    const { error } = validateChangePassword(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.matchPassword(req.body.currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await revokeSessions(user._id, 'revoke-all', req.authSession._id);
+
+    await logSecurityEvent(req, {
+      type: 'password-changed',
+      user: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/verify/{token}:
+ *   get:
+ *     summary: Verify an email address with the emailed token
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/verify/resend:
+ *   post:
+ *     summary: Resend the verification email to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a two-factor login
+// @route   POST /api/auth/login/2fa
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a TOTP or recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { error } = validateTwoFactorLogin(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(challenge.id).select('+twoFactorSecret +twoFactorChallengeId');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled || user.twoFactorChallengeId !== challenge.jti) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired'
+      });
+    }
+
+    const retryAfter = await getRetryAfter(user.email, req.ip);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    if (!(await consumeSecondFactor(user, req.body))) {
+      await recordLoginFailure(req, user.email, user, 'invalid-two-factor-code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // A concurrent request may have used the same challenge in the meantime
+    if (!(await consumeChallenge(challenge))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired'
+      });
+    }
+
+    await clearFailures(user.email);
+    const tokens = await createSession(user, req);
+
+    await logSecurityEvent(req, {
+      type: 'login',
+      user: user._id,
+      email: user.email,
+      metadata: { twoFactor: req.body.code ? 'totp' : 'recovery-code' }
+    });
+
+    res.json({
+      success: true,
+      data: buildAuthPayload(user, tokens)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Generate a TOTP secret and provisioning URI for enrollment
+ *     description: Encode `otpauthUrl` as a QR code for the authenticator app, then
+ *       confirm enrollment with a generated code.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'TaskFlow'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrollment
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a TOTP code and receive recovery codes
+ *     description: The recovery codes are only returned once.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ *       401:
+ *         description: Unauthorized
+ */
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { error } = validateTwoFactorCode(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor enrollment in progress'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    await logSecurityEvent(req, {
+      type: 'two-factor-enabled',
+      user: user._id
+    });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { error } = validateTwoFactorDisable(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password)) || !(await consumeSecondFactor(user, req.body))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorChallengeId = undefined;
+    await user.save();
+
+    await logSecurityEvent(req, {
+      type: 'two-factor-disabled',
+      user: user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate two-factor recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes with a new set
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       400:
+ *         description: Validation error or two-factor authentication not enabled
+ *       401:
+ *         description: Invalid two-factor code
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { error } = validateTwoFactorCode(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    await logSecurityEvent(req, {
+      type: 'recovery-codes-regenerated',
+      user: user._id
+    });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,19 @@ const Task = require('../models/Task');
 const Project = require('../models/Project');
 const { validateComment } = require('../middlewares/validation');
 const { logActivity } = require('../utils/activityLogger');
+const { hasProjectPermission } = require('../utils/projectAccess');
+
+// Returns the task a comment belongs to, or null when that task is outside
+// the workspace selected for the request or its project is in the trash.
+const findCommentTask = async (req, comment) => {
+  const task = await Task.findOne({ _id: comment.task, workspace: req.workspace._id }).populate('project');
+  return task && !task.project.deletedAt ? task : null;
+};
+
+const archivedProject = (res) => res.status(403).json({
+  success: false,
+  message: 'Project is archived and read-only'
+});
 
 /**
  * @swagger
@@ -65,15 +78,15 @@ exports.getTaskComments = async (req, res, next) => {
     const { taskId } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
-    const task = await Task.findById(taskId).populate('project');
-    if (!task) {
+    const task = await Task.findOne({ _id: taskId, workspace: req.workspace._id }).populate('project');
+    if (!task || task.project.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    if (!task.project.members.includes(req.user.id) && task.project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(task.project, req.user, 'project:read'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access comments for this task'
@@ -154,21 +167,23 @@ exports.createComment = async (req, res, next) => {
       });
     }
 
-    const task = await Task.findById(req.body.task).populate('project');
-    if (!task) {
+    const task = await Task.findOne({ _id: req.body.task, workspace: req.workspace._id }).populate('project');
+    if (!task || task.project.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    if (!task.project.members.includes(req.user.id) && task.project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(task.project, req.user, 'comment:create'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to comment on this task'
       });
     }
 
+    if (task.project.archivedAt) return archivedProject(res);
+
     const comment = await Comment.create({
       ...req.body,
       user: req.user.id
@@ -182,7 +197,8 @@ exports.createComment = async (req, res, next) => {
       entityId: comment._id,
       description: `Added comment to task "${task.title}"`,
       user: req.user.id,
-      project: task.project._id
+      project: task.project._id,
+      workspace: req.workspace._id
     });
 
     res.status(201).json({
@@ -238,8 +254,9 @@ exports.createComment = async (req, res, next) => {
 exports.updateComment = async (req, res, next) => {
   try {
     let comment = await Comment.findById(req.params.id);
+    const task = comment && await findCommentTask(req, comment);
 
-    if (!comment) {
+    if (!task) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -253,20 +270,26 @@ exports.updateComment = async (req, res, next) => {
       });
     }
 
-    comment = await Comment.findByIdAndUpdate(req.params.id, req.body, {
+    if (task.project.archivedAt) return archivedProject(res);
+
+    // Only the body of a comment can change, never the task it belongs to
+    const updates = {};
+    if (req.body.content !== undefined) updates.content = req.body.content;
+    if (req.body.attachments !== undefined) updates.attachments = req.body.attachments;
+
+    comment = await Comment.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     }).populate('user', 'name email avatar');
 
-    const task = await Task.findById(comment.task).populate('project');
-
     await logActivity({
       action: 'update',
       entityType: 'comment',
       entityId: comment._id,
       description: `Updated comment on task "${task.title}"`,
       user: req.user.id,
-      project: task.project._id
+      project: task.project._id,
+      workspace: req.workspace._id
     });
 
     res.json({
@@ -321,8 +344,9 @@ exports.updateComment = async (req, res, next) => {
 exports.deleteComment = async (req, res, next) => {
   try {
     const comment = await Comment.findById(req.params.id);
+    const task = comment && await findCommentTask(req, comment);
 
-    if (!comment) {
+    if (!task) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -336,7 +360,7 @@ exports.deleteComment = async (req, res, next) => {
       });
     }
 
-    const task = await Task.findById(comment.task).populate('project');
+    if (task.project.archivedAt) return archivedProject(res);
 
     await Comment.findByIdAndDelete(req.params.id);
 
@@ -346,7 +370,8 @@ exports.deleteComment = async (req, res, next) => {
       entityId: comment._id,
       description: `Deleted comment on task "${task.title}"`,
       user: req.user.id,
-      project: task.project._id
+      project: task.project._id,
+      workspace: req.workspace._id
     });
 
     res.json({
@@ -0,0 +1,516 @@
+const Milestone = require('../models/Milestone');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { logActivity } = require('../utils/activityLogger');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { validateMilestone, validateMilestoneUpdate } = require('../middlewares/validation');
+
+const findWorkspaceProject = (req) =>
+  Project.findOne({ _id: req.params.id, workspace: req.workspace._id, deletedAt: null });
+
+const archivedProject = (res) => res.status(403).json({
+  success: false,
+  message: 'Project is archived and read-only'
+});
+
+// Task counts per status for each milestone, keyed by milestone id
+const getTaskStats = async (milestoneIds) => {
+  const groups = await Task.aggregate([
+    { $match: { milestone: { $in: milestoneIds } } },
+    {
+      $group: {
+        _id: { milestone: '$milestone', status: '$status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const stats = {};
+  groups.forEach(({ _id, count }) => {
+    const key = _id.milestone.toString();
+    (stats[key] = stats[key] || []).push({ _id: _id.status, count });
+  });
+  return stats;
+};
+
+// A milestone with its task counts, completion progress and overdue flag.
+// Tasks in any status of the project's done category count as completed.
+const withProgress = (milestone, project, taskStats = []) => {
+  const doneStatuses = project.getStatusKeys('done');
+  const total = taskStats.reduce((sum, entry) => sum + entry.count, 0);
+  const completed = taskStats
+    .filter((entry) => doneStatuses.includes(entry._id))
+    .reduce((sum, entry) => sum + entry.count, 0);
+
+  return {
+    ...milestone.toObject(),
+    taskStats,
+    progress: {
+      total,
+      completed,
+      percent: total ? Math.round((completed / total) * 100) : 0
+    },
+    isOverdue: milestone.isOverdue()
+  };
+};
+
+// @desc    Get milestones of a project
+// @route   GET /api/projects/:id/milestones
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   get:
+ *     summary: List the milestones of a project with their progress
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, completed]
+ *         required: false
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only return open milestones whose due date has passed
+ *     responses:
+ *       200:
+ *         description: Milestones retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getMilestones = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const query = { project: project._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.overdue === 'true') {
+      query.status = 'open';
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const milestones = await Milestone.find(query).sort('dueDate');
+    const stats = await getTaskStats(milestones.map((milestone) => milestone._id));
+
+    res.json({
+      success: true,
+      data: milestones.map((milestone) => withProgress(milestone, project, stats[milestone._id.toString()]))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single milestone
+// @route   GET /api/projects/:id/milestones/:milestoneId
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   get:
+ *     summary: Get a milestone with task counts per status and its progress
+ *     description: "`progress.percent` is the share of linked tasks in a done status.
+ *       `isOverdue` is true for open milestones past their due date."
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: milestoneId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Milestone retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project or milestone not found
+ */
+exports.getMilestone = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const milestone = await Milestone.findOne({ _id: req.params.milestoneId, project: project._id })
+      .populate('createdBy', 'name email');
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const stats = await getTaskStats([milestone._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(milestone, project, stats[milestone._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create milestone
+// @route   POST /api/projects/:id/milestones
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   post:
+ *     summary: Create a milestone in a project
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *                 enum: [open, completed]
+ *                 default: open
+ *     responses:
+ *       201:
+ *         description: Milestone created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to manage milestones in this project
+ *       404:
+ *         description: Project not found
+ */
+exports.createMilestone = async (req, res, next) => {
+  try {
+    const { error } = validateMilestone(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'milestone:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const milestone = await Milestone.create({
+      name: req.body.name,
+      description: req.body.description,
+      dueDate: req.body.dueDate,
+      status: req.body.status,
+      completedAt: req.body.status === 'completed' ? new Date() : undefined,
+      project: project._id,
+      workspace: project.workspace,
+      createdBy: req.user.id
+    });
+
+    await logActivity({
+      action: 'create',
+      entityType: 'milestone',
+      entityId: milestone._id,
+      description: `Created milestone "${milestone.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: withProgress(milestone, project)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update milestone
+// @route   PUT /api/projects/:id/milestones/:milestoneId
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   put:
+ *     summary: Update a milestone, or complete or reopen it
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: milestoneId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *                 enum: [open, completed]
+ *     responses:
+ *       200:
+ *         description: Milestone updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to manage milestones in this project
+ *       404:
+ *         description: Project or milestone not found
+ */
+exports.updateMilestone = async (req, res, next) => {
+  try {
+    const { error } = validateMilestoneUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'milestone:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage milestones in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const milestone = await Milestone.findOne({ _id: req.params.milestoneId, project: project._id });
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const oldValues = {
+      name: milestone.name,
+      description: milestone.description,
+      dueDate: milestone.dueDate,
+      status: milestone.status
+    };
+
+    ['name', 'description', 'dueDate'].forEach((field) => {
+      if (req.body[field] !== undefined) milestone[field] = req.body[field];
+    });
+
+    if (req.body.status && req.body.status !== milestone.status) {
+      milestone.status = req.body.status;
+      milestone.completedAt = req.body.status === 'completed' ? new Date() : null;
+    }
+
+    await milestone.save();
+
+    await logActivity({
+      action: milestone.status !== oldValues.status ? 'status-change' : 'update',
+      entityType: 'milestone',
+      entityId: milestone._id,
+      description: milestone.status !== oldValues.status
+        ? `Marked milestone "${milestone.name}" as ${milestone.status}`
+        : `Updated milestone "${milestone.name}"`,
+      oldValues,
+      newValues: {
+        name: milestone.name,
+        description: milestone.description,
+        dueDate: milestone.dueDate,
+        status: milestone.status
+      },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([milestone._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(milestone, project, stats[milestone._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete milestone
+// @route   DELETE /api/projects/:id/milestones/:milestoneId
+// @access  Private (project admins)
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   delete:
+ *     summary: Delete a milestone
+ *     description: Tasks linked to the milestone are kept and unlinked from it.
+ *     tags: [Milestones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: milestoneId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Milestone deleted successfully
+ *       403:
+ *         description: Not authorized to delete milestones in this project
+ *       404:
+ *         description: Project or milestone not found
+ */
+exports.deleteMilestone = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'milestone:delete'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete milestones in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const milestone = await Milestone.findOneAndDelete({ _id: req.params.milestoneId, project: project._id });
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    await Task.updateMany({ milestone: milestone._id }, { milestone: null });
+
+    await logActivity({
+      action: 'delete',
+      entityType: 'milestone',
+      entityId: milestone._id,
+      description: `Deleted milestone "${milestone.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
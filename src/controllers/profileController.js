@@ -0,0 +1,349 @@
+const fs = require('fs');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { hashToken } = require('../utils/sessions');
+const { sendEmailChangeVerification, sendEmailChangedNotice } = require('../utils/emails');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const { accessibleProjectsFilter } = require('../utils/projectAccess');
+const { toUploadUrl, fromUploadUrl } = require('../middlewares/upload');
+const { validateProfileUpdate } = require('../middlewares/validation');
+
+const PUBLIC_PROFILE_FIELDS = '_id name avatar bio jobTitle timezone';
+
+const removeUploadedFile = async (url) => {
+  const filePath = fromUploadUrl(url);
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to remove uploaded file:', error);
+    }
+  }
+};
+
+// @desc    Update profile of current user
+// @route   PUT /api/auth/me
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   put:
+ *     summary: Update the current user's profile
+ *     description: Changing `email` requires `currentPassword`. The new address only takes
+ *       effect once confirmed through the link sent to it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               jobTitle:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               currentPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error or email already in use
+ *       401:
+ *         description: Current password is incorrect
+ */
+exports.updateMe = async (req, res, next) => {
+  try {
+    const { error, value } = validateProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    ['name', 'bio', 'jobTitle', 'timezone'].forEach((field) => {
+      if (value[field] !== undefined) user[field] = value[field];
+    });
+
+    let changeToken;
+    const newEmail = value.email && value.email.toLowerCase();
+
+    if (newEmail && newEmail !== user.email) {
+      if (!(await user.matchPassword(value.currentPassword))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already in use'
+        });
+      }
+
+      changeToken = user.createEmailChangeToken(newEmail);
+    }
+
+    await user.save();
+
+    if (changeToken) {
+      await sendEmailChangeVerification(user, changeToken);
+      await logSecurityEvent(req, {
+        type: 'email-change-requested',
+        user: user._id,
+        email: user.email,
+        metadata: { newEmail }
+      });
+    }
+
+    user.password = undefined;
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm a pending email change
+// @route   GET /api/auth/email-change/:token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/auth/email-change/{token}:
+ *   get:
+ *     summary: Confirm a new email address with the emailed token
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Email address changed successfully
+ *       400:
+ *         description: Invalid or expired token, or email already in use
+ */
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailChangeToken: hashToken(req.params.token),
+      emailChangeExpires: { $gt: Date.now() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email change token is invalid or has expired'
+      });
+    }
+
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    const oldEmail = user.email;
+
+    user.email = user.pendingEmail;
+    user.isEmailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save();
+
+    try {
+      await sendEmailChangedNotice(user, oldEmail);
+    } catch (mailError) {
+      console.error('Email change notice failed:', mailError);
+    }
+
+    await logSecurityEvent(req, {
+      type: 'email-changed',
+      user: user._id,
+      email: user.email,
+      metadata: { oldEmail }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload avatar of current user
+// @route   PUT /api/auth/me/avatar
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/avatar:
+ *   put:
+ *     summary: Upload a new avatar image
+ *     description: Accepts JPEG, PNG, GIF or WebP up to AVATAR_MAX_SIZE_KB (default 2 MB).
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar updated successfully
+ *       400:
+ *         description: Missing file, unsupported type or file too large
+ */
+exports.updateAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image in the "avatar" field'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = toUploadUrl('avatars', req.file.filename);
+    await user.save();
+
+    await removeUploadedFile(previousAvatar);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (req.file) {
+      await removeUploadedFile(toUploadUrl('avatars', req.file.filename));
+    }
+    next(error);
+  }
+};
+
+// @desc    Remove avatar of current user
+// @route   DELETE /api/auth/me/avatar
+// @access  Private
+
+/**
+ * @swagger
+ * /api/auth/me/avatar:
+ *   delete:
+ *     summary: Remove the current avatar
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed successfully
+ */
+exports.deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const previousAvatar = user.avatar;
+
+    user.avatar = undefined;
+    await user.save();
+
+    await removeUploadedFile(previousAvatar);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get public profile of a teammate
+// @route   GET /api/users/:id/profile
+// @access  Private (users sharing a project)
+
+/**
+ * @swagger
+ * /api/users/{id}/profile:
+ *   get:
+ *     summary: Get the public profile of a teammate
+ *     description: Only available for users who share at least one project with the caller.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *       404:
+ *         description: User not found or not a teammate
+ */
+exports.getPublicProfile = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, isActive: true }).select(PUBLIC_PROFILE_FIELDS);
+
+    // Respond with 404 rather than 403 so profiles cannot be probed
+    const notFound = () => res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+
+    if (!user) return notFound();
+
+    if (user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+      const sharesProject = await Project.exists({
+        $and: [
+          await accessibleProjectsFilter(req.user.id),
+          await accessibleProjectsFilter(user._id)
+        ]
+      });
+
+      if (!sharesProject) return notFound();
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,54 @@
 const Project = require("../models/Project");
 const Task = require("../models/Task");
-const { validateProject } = require("../middlewares/validation");
+const Team = require("../models/Team");
+const {
+  validateProject,
+  validateProjectUpdate,
+  validateProjectClone,
+  validateProjectMember,
+  validateProjectMemberRole,
+  validateProjectTeam,
+  validateProjectStatuses,
+  validateCustomField,
+  validateCustomFieldUpdate,
+} = require("../middlewares/validation");
 const { logActivity } = require("../utils/activityLogger");
+const {
+  roleAtLeast,
+  accessibleProjectsFilter,
+  getProjectRole,
+  hasProjectPermission,
+} = require("../utils/projectAccess");
+const { getPurgeDate } = require("../utils/projectPurge");
+const {
+  getStartAnchor,
+  toTaskBlueprints,
+  createTasksFromBlueprints,
+} = require("../utils/projectCopy");
+const { COLUMN_SORT } = require("../utils/taskRanks");
+const { DEFAULT_PROJECT_ROLE } = require("../config/projectRoles");
+
+// Projects are only visible within the workspace selected for the request,
+// and not at all once they are in the trash
+const findWorkspaceProject = (req) =>
+  Project.findOne({
+    _id: req.params.id,
+    workspace: req.workspace._id,
+    deletedAt: null,
+  });
+
+const outsideWorkspace = (workspace, userIds = []) =>
+  userIds.filter((userId) => !workspace.isMember(userId));
+
+const PROJECT_POPULATE = [
+  { path: "members.user", select: "name email" },
+  { path: "teams.team", select: "name" },
+];
+
+// Role the current user acts with when managing members; global admins act
+// as owners.
+const actingRole = (req, project) =>
+  req.user.role === "admin" ? "owner" : getProjectRole(project, req.user.id);
 
 /**
  * @swagger
@@ -32,6 +79,12 @@ const { logActivity } = require("../utils/activityLogger");
  *         schema:
  *           type: string
  *         required: false
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Also return archived projects
  *     responses:
  *       200:
  *         description: Projects retrieved successfully
@@ -62,17 +115,25 @@ const { logActivity } = require("../utils/activityLogger");
  */
 exports.getProjects = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, status, sort = "-createdAt" } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      sort = "-createdAt",
+      includeArchived,
+    } = req.query;
 
     let query = {
-      $or: [{ manager: req.user.id }, { members: req.user.id }],
+      workspace: req.workspace._id,
+      deletedAt: null,
+      ...(await accessibleProjectsFilter(req.user.id, req.workspace._id)),
     };
 
     if (status) query.status = status;
+    if (includeArchived !== "true") query.archivedAt = null;
 
     const projects = await Project.find(query)
-      .populate("manager", "name email")
-      .populate("members", "name email")
+      .populate(PROJECT_POPULATE)
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -124,9 +185,7 @@ exports.getProjects = async (req, res, next) => {
  */
 exports.getProject = async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id)
-      .populate("manager", "name email")
-      .populate("members", "name email");
+    const project = await findWorkspaceProject(req).populate(PROJECT_POPULATE);
 
     if (!project) {
       return res.status(404).json({
@@ -135,10 +194,7 @@ exports.getProject = async (req, res, next) => {
       });
     }
 
-    if (
-      !project.members.includes(req.user.id) &&
-      project.manager.toString() !== req.user.id
-    ) {
+    if (!(await hasProjectPermission(project, req.user, "project:read"))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this project",
@@ -159,6 +215,7 @@ exports.getProject = async (req, res, next) => {
       success: true,
       data: {
         ...project.toObject(),
+        role: await getProjectRole(project, req.user.id),
         taskStats,
       },
     });
@@ -167,6 +224,93 @@ exports.getProject = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/projects/{id}/board:
+ *   get:
+ *     summary: Get the tasks of a project grouped into board columns
+ *     description: Returns one column per workflow status, in workflow order, with its tasks
+ *       in rank order. Use `POST /api/tasks/{id}/move` to reorder cards.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: milestone
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: sprint
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: A sprint id, or `backlog` for tasks outside any sprint
+ *     responses:
+ *       200:
+ *         description: Board retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getProjectBoard = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:read"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      });
+    }
+
+    const query = { project: project._id };
+    if (req.query.assignedTo) query.assignedTo = req.query.assignedTo;
+    if (req.query.milestone) query.milestone = req.query.milestone;
+    if (req.query.sprint) {
+      query.sprint = req.query.sprint === "backlog" ? null : req.query.sprint;
+    }
+
+    const tasks = await Task.find(query)
+      .populate("assignedTo", "name email avatar")
+      .populate("milestone", "name dueDate status")
+      .sort(COLUMN_SORT);
+
+    const columns = project.statuses.map((status) => ({
+      ...status.toObject(),
+      tasks: tasks.filter((task) => task.status === status.key),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name, archivedAt: project.archivedAt },
+        columns,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @swagger
  * /api/projects:
@@ -203,14 +347,28 @@ exports.createProject = async (req, res, next) => {
       });
     }
 
+    // The creator owns the project; other initial members get the default role
+    const memberIds = [...new Set(req.body.members || [])].filter(
+      (userId) => userId !== req.user.id
+    );
+
+    if (outsideWorkspace(req.workspace, memberIds).length) {
+      return res.status(400).json({
+        success: false,
+        message: "All project members must belong to the workspace",
+      });
+    }
+
     const project = await Project.create({
       ...req.body,
-      manager: req.user.id,
-      members: [req.user.id],
+      workspace: req.workspace._id,
+      members: [
+        { user: req.user.id, role: "owner" },
+        ...memberIds.map((user) => ({ user, role: DEFAULT_PROJECT_ROLE })),
+      ],
     });
 
-    await project.populate("manager", "name email");
-    await project.populate("members", "name email");
+    await project.populate(PROJECT_POPULATE);
 
     await logActivity({
       action: "create",
@@ -219,6 +377,7 @@ exports.createProject = async (req, res, next) => {
       description: `Created project "${project.name}"`,
       user: req.user.id,
       project: project._id,
+      workspace: req.workspace._id,
     });
 
     res.status(201).json({
@@ -235,6 +394,8 @@ exports.createProject = async (req, res, next) => {
  * /api/projects/{id}:
  *   put:
  *     summary: Update a project by ID
+ *     description: Only the name, description, status, dates and color change here. Members,
+ *       teams, the workflow, custom fields, archiving and deletion have their own endpoints.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -264,7 +425,18 @@ exports.createProject = async (req, res, next) => {
  */
 exports.updateProject = async (req, res, next) => {
   try {
-    let project = await Project.findById(req.params.id);
+    // Members, teams, the workflow, custom fields, archiving and deletion have
+    // their own endpoints; those fields and update operators such as $set are
+    // rejected here
+    const { error, value: updates } = validateProjectUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    let project = await findWorkspaceProject(req);
 
     if (!project) {
       return res.status(404).json({
@@ -273,24 +445,26 @@ exports.updateProject = async (req, res, next) => {
       });
     }
 
-    if (
-      project.manager.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this project",
       });
     }
 
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
     const oldValues = { ...project.toObject() };
 
-    project = await Project.findByIdAndUpdate(req.params.id, req.body, {
+    project = await Project.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
-    })
-      .populate("manager", "name email")
-      .populate("members", "name email");
+    }).populate(PROJECT_POPULATE);
 
     await logActivity({
       action: "update",
@@ -301,6 +475,7 @@ exports.updateProject = async (req, res, next) => {
       newValues: project.toObject(),
       user: req.user.id,
       project: project._id,
+      workspace: req.workspace._id,
     });
 
     res.json({
@@ -314,9 +489,12 @@ exports.updateProject = async (req, res, next) => {
 
 /**
  * @swagger
- * /api/projects/{id}:
- *   delete:
- *     summary: Delete a project by ID
+ * /api/projects/{id}/statuses:
+ *   put:
+ *     summary: Replace the task workflow of a project
+ *     description: Statuses are ordered and each belongs to a category (not-started, active or
+ *       done). A status without `transitions` allows moving to any other status. Tasks in
+ *       removed statuses must be moved with `statusMapping`, from old to new status key.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -326,19 +504,54 @@ exports.updateProject = async (req, res, next) => {
  *         schema:
  *           type: string
  *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     category:
+ *                       type: string
+ *                       enum: [not-started, active, done]
+ *                     transitions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *               statusMapping:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Project deleted successfully
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error or removed statuses still used by tasks
+ *       403:
+ *         description: Not authorized to update this project
  *       404:
  *         description: Project not found
- *       403:
- *         description: Not authorized to delete this project
- *       401:
- *         description: Unauthorized
  */
-exports.deleteProject = async (req, res, next) => {
+exports.updateProjectStatuses = async (req, res, next) => {
   try {
-    const project = await Project.findById(req.params.id);
+    const { error } = validateProjectStatuses(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
 
     if (!project) {
       return res.status(404).json({
@@ -347,31 +560,72 @@ exports.deleteProject = async (req, res, next) => {
       });
     }
 
-    if (
-      project.manager.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
       return res.status(403).json({
         success: false,
-        message: "Not authorized to delete this project",
+        message: "Not authorized to update this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    const { statuses, statusMapping = {} } = req.body;
+    const keys = statuses.map((status) => status.key);
+
+    if (Object.values(statusMapping).some((key) => !keys.includes(key))) {
+      return res.status(400).json({
+        success: false,
+        message: "Tasks can only be mapped to statuses of the new workflow",
+      });
+    }
+
+    const removed = project.statuses
+      .map((status) => status.key)
+      .filter((key) => !keys.includes(key));
+    const inUse = await Task.distinct("status", {
+      project: project._id,
+      status: { $in: removed },
+    });
+    const unmapped = inUse.filter((key) => !statusMapping[key]);
+
+    if (unmapped.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Tasks still use the removed statuses ${unmapped.join(", ")}; map them with statusMapping`,
       });
     }
 
-    await Task.deleteMany({ project: req.params.id });
-    await Project.findByIdAndDelete(req.params.id);
+    for (const key of inUse) {
+      await Task.updateMany(
+        { project: project._id, status: key },
+        { status: statusMapping[key] }
+      );
+    }
+
+    const oldValues = { statuses: project.toObject().statuses };
+    project.statuses = statuses;
+    await project.save();
 
     await logActivity({
-      action: "delete",
+      action: "update",
       entityType: "project",
       entityId: project._id,
-      description: `Deleted project "${project.name}"`,
+      description: `Updated the workflow of project "${project.name}"`,
+      oldValues,
+      newValues: { statuses: project.toObject().statuses, statusMapping },
       user: req.user.id,
       project: project._id,
+      workspace: req.workspace._id,
     });
 
     res.json({
       success: true,
-      data: {},
+      data: project.statuses,
     });
   } catch (error) {
     next(error);
@@ -380,9 +634,11 @@ exports.deleteProject = async (req, res, next) => {
 
 /**
  * @swagger
- * /api/projects/{id}/members:
+ * /api/projects/{id}/custom-fields:
  *   post:
- *     summary: Add a member to a project
+ *     summary: Define a custom field for the tasks of a project
+ *     description: Tasks store values under `customFields.<key>`. Select fields need
+ *       `options`; user fields hold the id of a workspace member.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -399,25 +655,41 @@ exports.deleteProject = async (req, res, next) => {
  *           schema:
  *             type: object
  *             properties:
- *               memberId:
+ *               key:
  *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, single-select, multi-select, user]
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
+ *                 default: false
  *     responses:
- *       200:
- *         description: Member added successfully
+ *       201:
+ *         description: Custom field created successfully
  *       400:
- *         description: Member already in project
+ *         description: Validation error or key already in use
+ *       403:
+ *         description: Not authorized to update this project
  *       404:
  *         description: Project not found
- *       403:
- *         description: Not authorized to add members to this project
- *       401:
- *         description: Unauthorized
  */
-exports.addMember = async (req, res, next) => {
+exports.addCustomField = async (req, res, next) => {
   try {
-    const { memberId } = req.body;
+    const { error } = validateCustomField(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
 
-    const project = await Project.findById(req.params.id);
+    const project = await findWorkspaceProject(req);
 
     if (!project) {
       return res.status(404).json({
@@ -426,41 +698,44 @@ exports.addMember = async (req, res, next) => {
       });
     }
 
-    if (
-      project.manager.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
       return res.status(403).json({
         success: false,
-        message: "Not authorized to add members to this project",
+        message: "Not authorized to update this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
       });
     }
 
-    if (project.members.includes(memberId)) {
+    if (project.getCustomField(req.body.key)) {
       return res.status(400).json({
         success: false,
-        message: "Member already in project",
+        message: "A custom field with this key already exists",
       });
     }
 
-    project.members.push(memberId);
+    project.customFields.push(req.body);
     await project.save();
 
-    await project.populate("manager", "name email");
-    await project.populate("members", "name email");
-
     await logActivity({
-      action: "assign",
+      action: "update",
       entityType: "project",
       entityId: project._id,
-      description: `Added member to project "${project.name}"`,
+      description: `Added custom field "${req.body.name}" to project "${project.name}"`,
+      newValues: req.body,
       user: req.user.id,
       project: project._id,
+      workspace: req.workspace._id,
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: project,
+      data: project.customFields,
     });
   } catch (error) {
     next(error);
@@ -469,9 +744,10 @@ exports.addMember = async (req, res, next) => {
 
 /**
  * @swagger
- * /api/projects/{id}/members:
- *   delete:
- *     summary: Remove a member from a project
+ * /api/projects/{id}/custom-fields/{key}:
+ *   put:
+ *     summary: Rename a custom field, change its options or whether it is required
+ *     description: The key and type cannot change. Options still used by tasks cannot be removed.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -481,6 +757,11 @@ exports.addMember = async (req, res, next) => {
  *         schema:
  *           type: string
  *         required: true
+ *       - in: path
+ *         name: key
+ *         schema:
+ *           type: string
+ *         required: true
  *     requestBody:
  *       required: true
  *       content:
@@ -488,23 +769,35 @@ exports.addMember = async (req, res, next) => {
  *           schema:
  *             type: object
  *             properties:
- *               memberId:
+ *               name:
  *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Member removed successfully
- *       404:
- *         description: Project not found
+ *         description: Custom field updated successfully
+ *       400:
+ *         description: Validation error or removed options still in use
  *       403:
- *         description: Not authorized to remove members from this project
- *       401:
- *         description: Unauthorized
+ *         description: Not authorized to update this project
+ *       404:
+ *         description: Project or custom field not found
  */
-exports.removeMember = async (req, res, next) => {
+exports.updateCustomField = async (req, res, next) => {
   try {
-    const { memberId } = req.body;
+    const { error } = validateCustomFieldUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
 
-    const project = await Project.findById(req.params.id);
+    const project = await findWorkspaceProject(req);
 
     if (!project) {
       return res.status(404).json({
@@ -513,21 +806,1283 @@ exports.removeMember = async (req, res, next) => {
       });
     }
 
-    if (
-      project.manager.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
       return res.status(403).json({
         success: false,
-        message: "Not authorized to remove members from this project",
+        message: "Not authorized to update this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    const field = project.getCustomField(req.params.key);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
       });
     }
 
-    project.members = project.members.filter((m) => m.toString() !== memberId);
+    if (req.body.options) {
+      if (!field.options) {
+        return res.status(400).json({
+          success: false,
+          message: "Only select fields have options",
+        });
+      }
+
+      const removed = field.options.filter((option) => !req.body.options.includes(option));
+      const inUse =
+        removed.length &&
+        (await Task.exists({
+          project: project._id,
+          [`customFields.${field.key}`]: { $in: removed },
+        }));
+
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          message: "Options still used by tasks cannot be removed",
+        });
+      }
+    }
+
+    const oldValues = field.toObject();
+    ["name", "options", "required"].forEach((property) => {
+      if (req.body[property] !== undefined) field[property] = req.body[property];
+    });
     await project.save();
 
-    await project.populate("manager", "name email");
-    await project.populate("members", "name email");
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Updated custom field "${field.name}" of project "${project.name}"`,
+      oldValues,
+      newValues: field.toObject(),
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project.customFields,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/custom-fields/{key}:
+ *   delete:
+ *     summary: Remove a custom field and its values from every task of the project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: key
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom field removed successfully
+ *       403:
+ *         description: Not authorized to update this project
+ *       404:
+ *         description: Project or custom field not found
+ */
+exports.removeCustomField = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    const field = project.getCustomField(req.params.key);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: "Custom field not found",
+      });
+    }
+
+    project.customFields = project.customFields.filter((entry) => entry.key !== field.key);
+    await project.save();
+
+    await Task.updateMany(
+      { project: project._id },
+      { $unset: { [`customFields.${field.key}`]: "" } }
+    );
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Removed custom field "${field.name}" from project "${project.name}"`,
+      oldValues: field.toObject(),
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project.customFields,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     summary: Move a project to the trash
+ *     description: The project and its tasks disappear immediately but can be restored until
+ *       the retention period (PROJECT_RETENTION_DAYS) has passed; then they are purged for good.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Project moved to the trash
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to delete this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.deleteProject = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:delete"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this project",
+      });
+    }
+
+    project.deletedAt = new Date();
+    project.deletedBy = req.user.id;
+    await project.save();
+
+    await logActivity({
+      action: "delete",
+      entityType: "project",
+      entityId: project._id,
+      description: `Moved project "${project.name}" to the trash`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        _id: project._id,
+        deletedAt: project.deletedAt,
+        purgeAt: getPurgeDate(project),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/trash:
+ *   get:
+ *     summary: List deleted projects that can still be restored
+ *     description: Shows the deleted projects of the workspace the current user owns, or all
+ *       of them for admins, with the date each will be purged.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted projects retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getTrash = async (req, res, next) => {
+  try {
+    const query = {
+      workspace: req.workspace._id,
+      deletedAt: { $ne: null },
+    };
+
+    if (req.user.role !== "admin") {
+      query.members = { $elemMatch: { user: req.user.id, role: "owner" } };
+    }
+
+    const projects = await Project.find(query)
+      .populate("deletedBy", "name email")
+      .sort("-deletedAt");
+
+    res.json({
+      success: true,
+      data: projects.map((project) => ({
+        ...project.toObject(),
+        purgeAt: getPurgeDate(project),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/restore:
+ *   post:
+ *     summary: Restore a project from the trash
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Project restored
+ *       400:
+ *         description: The restore window has passed
+ *       404:
+ *         description: Project not found in the trash
+ *       403:
+ *         description: Not authorized to restore this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.restoreProject = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id,
+      deletedAt: { $ne: null },
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found in the trash",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:delete"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to restore this project",
+      });
+    }
+
+    // The purge job may not have run yet, but the window is over
+    if (getPurgeDate(project) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The restore window for this project has passed",
+      });
+    }
+
+    project.deletedAt = null;
+    project.deletedBy = null;
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Restored project "${project.name}" from the trash`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/archive:
+ *   post:
+ *     summary: Archive a project
+ *     description: Archived projects are read-only and hidden from the project list unless
+ *       `includeArchived=true` is passed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Project archived
+ *       400:
+ *         description: Project is already archived
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to archive this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.archiveProject = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to archive this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Project is already archived",
+      });
+    }
+
+    project.archivedAt = new Date();
+    project.archivedBy = req.user.id;
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Archived project "${project.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/unarchive:
+ *   post:
+ *     summary: Unarchive a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Project unarchived
+ *       400:
+ *         description: Project is not archived
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to unarchive this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.unarchiveProject = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:update"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to unarchive this project",
+      });
+    }
+
+    if (!project.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Project is not archived",
+      });
+    }
+
+    project.archivedAt = null;
+    project.archivedBy = null;
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Unarchived project "${project.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/clone:
+ *   post:
+ *     summary: Create a copy of a project
+ *     description: The caller owns the copy. Copied tasks start as `todo` without comments or
+ *       time spent. With `startDate`, due dates keep their distance from the start of the
+ *       source project (its start date, or creation date when it has none).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to "Copy of <name>"
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               includeTasks:
+ *                 type: boolean
+ *                 default: true
+ *               includeTags:
+ *                 type: boolean
+ *                 default: true
+ *               includeDueDates:
+ *                 type: boolean
+ *                 default: true
+ *               includeMembers:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Copy members, teams and task assignees
+ *     responses:
+ *       201:
+ *         description: Project cloned successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to access this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.cloneProject = async (req, res, next) => {
+  try {
+    const { error } = validateProjectClone(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const {
+      includeTasks = true,
+      includeTags = true,
+      includeDueDates = true,
+      includeMembers = false,
+    } = req.body;
+
+    const source = await findWorkspaceProject(req);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(source, req.user, "project:read"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      });
+    }
+
+    const anchor = getStartAnchor(source);
+    const startDate = req.body.startDate
+      ? new Date(req.body.startDate)
+      : source.startDate;
+    const shiftMs = startDate ? startDate.getTime() - anchor.getTime() : 0;
+
+    const members = [{ user: req.user.id, role: "owner" }];
+    if (includeMembers) {
+      source.members
+        .filter((member) => member.user.toString() !== req.user.id)
+        .forEach((member) => members.push({ user: member.user, role: member.role }));
+    }
+
+    const project = await Project.create({
+      name: req.body.name || `Copy of ${source.name}`,
+      description: source.description,
+      color: source.color,
+      workspace: req.workspace._id,
+      startDate,
+      endDate: source.endDate && new Date(source.endDate.getTime() + shiftMs),
+      statuses: source.toObject().statuses,
+      customFields: source.toObject().customFields,
+      members,
+      teams: includeMembers
+        ? source.teams.map((entry) => ({ team: entry.team, role: entry.role }))
+        : [],
+    });
+
+    let taskCount = 0;
+    if (includeTasks) {
+      const tasks = await Task.find({ project: source._id }).sort("createdAt");
+      const blueprints = toTaskBlueprints(tasks, source, {
+        includeTags,
+        includeDueDates,
+        includeAssignees: includeMembers,
+      });
+      const created = await createTasksFromBlueprints(
+        project,
+        blueprints,
+        req.user.id,
+        new Date(anchor.getTime() + shiftMs)
+      );
+      taskCount = created.length;
+    }
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "create",
+      entityType: "project",
+      entityId: project._id,
+      description: `Cloned project "${source.name}" into "${project.name}"`,
+      newValues: { source: source._id, tasks: taskCount },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   get:
+ *     summary: List the members and teams of a project with their roles
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to access this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getMembers = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req).populate(PROJECT_POPULATE);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, "project:read"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        members: project.members,
+        teams: project.teams,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project
+ *     description: Callers cannot grant a role above their own project role.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               memberId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, editor, commenter, viewer]
+ *                 default: editor
+ *     responses:
+ *       200:
+ *         description: Member added successfully
+ *       400:
+ *         description: Validation error or member already in project
+ *       404:
+ *         description: Project not found
+ *       403:
+ *         description: Not authorized to add members to this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.addMember = async (req, res, next) => {
+  try {
+    const { error } = validateProjectMember(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { memberId, role = DEFAULT_PROJECT_ROLE } = req.body;
+
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (
+      !(await hasProjectPermission(project, req.user, "members:manage")) ||
+      !roleAtLeast(await actingRole(req, project), role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to add members to this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    if (outsideWorkspace(req.workspace, [memberId]).length) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not a member of this workspace",
+      });
+    }
+
+    if (project.getMember(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Member already in project",
+      });
+    }
+
+    project.members.push({ user: memberId, role });
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "assign",
+      entityType: "project",
+      entityId: project._id,
+      description: `Added member to project "${project.name}" as ${role}`,
+      newValues: { member: memberId, role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the role of a project member
+ *     description: Callers can only change members whose current and new role do not exceed their own.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, editor, commenter, viewer]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Validation error or last owner
+ *       404:
+ *         description: Project not found or user not a member
+ *       403:
+ *         description: Not authorized to change this member's role
+ *       401:
+ *         description: Unauthorized
+ */
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const { error } = validateProjectMemberRole(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { role } = req.body;
+
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const member = project.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this project",
+      });
+    }
+
+    const callerRole = await actingRole(req, project);
+
+    if (
+      !(await hasProjectPermission(project, req.user, "members:manage")) ||
+      !roleAtLeast(callerRole, member.role) ||
+      !roleAtLeast(callerRole, role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to change this member's role",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    if (
+      member.role === "owner" &&
+      role !== "owner" &&
+      project.countOwners() === 1
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "A project must keep at least one owner",
+      });
+    }
+
+    const oldRole = member.role;
+    member.role = role;
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Changed a member's role in project "${project.name}" to ${role}`,
+      oldValues: { member: req.params.userId, role: oldRole },
+      newValues: { member: req.params.userId, role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project, or leave it
+ *     description: The user id can also be sent as `memberId` in the body of `DELETE /api/projects/{id}/members`.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Last owner
+ *       404:
+ *         description: Project not found or user not a member
+ *       403:
+ *         description: Not authorized to remove members from this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const memberId = req.params.userId || req.body.memberId;
+
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const member = memberId && project.getMember(memberId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this project",
+      });
+    }
+
+    // Anyone may leave; removing others needs a role at least as high as theirs
+    if (
+      memberId !== req.user.id &&
+      (!(await hasProjectPermission(project, req.user, "members:manage")) ||
+        !roleAtLeast(await actingRole(req, project), member.role))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to remove members from this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    if (member.role === "owner" && project.countOwners() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A project must keep at least one owner",
+      });
+    }
+
+    project.members = project.members.filter((entry) => entry !== member);
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description:
+        memberId === req.user.id
+          ? `Left project "${project.name}"`
+          : `Removed member from project "${project.name}"`,
+      oldValues: { member: memberId, role: member.role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/teams:
+ *   post:
+ *     summary: Attach a team to a project
+ *     description: Every current and future member of the team gets the given role in the project.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               teamId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, commenter, viewer]
+ *                 default: editor
+ *     responses:
+ *       200:
+ *         description: Team attached successfully
+ *       400:
+ *         description: Validation error or team already attached
+ *       404:
+ *         description: Project or team not found
+ *       403:
+ *         description: Not authorized to manage teams of this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.attachTeam = async (req, res, next) => {
+  try {
+    const { error } = validateProjectTeam(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const { teamId, role = DEFAULT_PROJECT_ROLE } = req.body;
+
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (
+      !(await hasProjectPermission(project, req.user, "members:manage")) ||
+      !roleAtLeast(await actingRole(req, project), role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to manage teams of this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    const team = await Team.findOne({
+      _id: teamId,
+      workspace: req.workspace._id,
+    });
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (project.getTeam(team._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Team already attached to project",
+      });
+    }
+
+    project.teams.push({ team: team._id, role });
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "assign",
+      entityType: "project",
+      entityId: project._id,
+      description: `Attached team "${team.name}" to project "${project.name}" as ${role}`,
+      newValues: { team: team._id, role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}/teams/{teamId}:
+ *   delete:
+ *     summary: Detach a team from a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Team detached successfully
+ *       404:
+ *         description: Project not found or team not attached
+ *       403:
+ *         description: Not authorized to manage teams of this project
+ *       401:
+ *         description: Unauthorized
+ */
+exports.detachTeam = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const entry = project.getTeam(req.params.teamId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Team is not attached to this project",
+      });
+    }
+
+    if (
+      !(await hasProjectPermission(project, req.user, "members:manage")) ||
+      !roleAtLeast(await actingRole(req, project), entry.role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to manage teams of this project",
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "Project is archived and read-only",
+      });
+    }
+
+    project.teams = project.teams.filter((team) => team !== entry);
+    await project.save();
+
+    await project.populate(PROJECT_POPULATE);
+
+    await logActivity({
+      action: "update",
+      entityType: "project",
+      entityId: project._id,
+      description: `Detached team from project "${project.name}"`,
+      oldValues: { team: req.params.teamId, role: entry.role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id,
+    });
 
     res.json({
       success: true,
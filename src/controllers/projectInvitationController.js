@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { hashToken } = require('../utils/sessions');
+const { sendProjectInvitation } = require('../utils/emails');
+const { logActivity } = require('../utils/activityLogger');
+const { roleAtLeast, getProjectRole, hasProjectPermission } = require('../utils/projectAccess');
+const {
+  findPendingInvitation,
+  isInvitationProjectArchived,
+  joinProjectByInvitation
+} = require('../utils/projectInvitations');
+const { validateProjectInvitation } = require('../middlewares/validation');
+const { DEFAULT_PROJECT_ROLE } = require('../config/projectRoles');
+
+const findWorkspaceProject = (req) =>
+  Project.findOne({ _id: req.params.id, workspace: req.workspace._id, deletedAt: null });
+
+const invalidInvitation = (res) => res.status(400).json({
+  success: false,
+  message: 'Invitation is invalid or has expired'
+});
+
+// @desc    Get pending invitations of a project
+// @route   GET /api/projects/:id/invitations
+// @access  Private (project admins)
+
+/**
+ * @swagger
+ * /api/projects/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations of a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Not authorized to manage members of this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getProjectInvitations = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'members:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage members of this project'
+      });
+    }
+
+    const invitations = await ProjectInvitation.find({
+      project: project._id,
+      acceptedAt: null,
+      declinedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite someone to a project by email
+// @route   POST /api/projects/:id/invitations
+// @access  Private (project admins)
+
+/**
+ * @swagger
+ * /api/projects/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the project by email
+ *     description: Callers cannot invite with a role above their own project role. Accepting
+ *       also adds the invitee to the project's workspace.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, editor, commenter, viewer]
+ *                 default: editor
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or already a member
+ *       403:
+ *         description: Not authorized to invite members to this project, or the project is archived
+ *       404:
+ *         description: Project not found
+ */
+exports.createProjectInvitation = async (req, res, next) => {
+  try {
+    const { error } = validateProjectInvitation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const role = req.body.role || DEFAULT_PROJECT_ROLE;
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const callerRole = req.user.role === 'admin' ? 'owner' : await getProjectRole(project, req.user.id);
+
+    if (
+      !(await hasProjectPermission(project, req.user, 'members:manage')) ||
+      !roleAtLeast(callerRole, role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invite members to this project'
+      });
+    }
+
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && project.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the project'
+      });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await ProjectInvitation.updateMany(
+      { project: project._id, email, acceptedAt: null, declinedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+
+    const invitation = await ProjectInvitation.create({
+      project: project._id,
+      workspace: project.workspace,
+      email,
+      role,
+      tokenHash: hashToken(invitationToken),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + Number(process.env.INVITATION_EXPIRE_DAYS || 7) * 24 * 60 * 60 * 1000)
+    });
+
+    await sendProjectInvitation(invitation, project, req.user, invitationToken);
+
+    await logActivity({
+      action: 'create',
+      entityType: 'project',
+      entityId: project._id,
+      description: `Invited ${email} to project "${project.name}" as ${role}`,
+      newValues: { email, role },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invitation.toObject(),
+        tokenHash: undefined
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending project invitation
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private (project admins)
+
+/**
+ * @swagger
+ * /api/projects/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending project invitation
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: invitationId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Not authorized to manage members of this project
+ *       404:
+ *         description: Project or invitation not found
+ */
+exports.revokeProjectInvitation = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'members:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage members of this project'
+      });
+    }
+
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        project: project._id,
+        acceptedAt: null,
+        declinedAt: null,
+        revokedAt: null
+      },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending project invitations of the current user
+// @route   GET /api/project-invitations
+// @access  Private
+
+/**
+ * @swagger
+ * /api/project-invitations:
+ *   get:
+ *     summary: List pending project invitations sent to the current user's email
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getMyProjectInvitations = async (req, res, next) => {
+  try {
+    const invitations = await ProjectInvitation.find({
+      email: req.user.email,
+      acceptedAt: null,
+      declinedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('project', 'name color')
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Look up a project invitation by its token
+// @route   GET /api/project-invitations/:token
+// @access  Public
+
+/**
+ * @swagger
+ * /api/project-invitations/{token}:
+ *   get:
+ *     summary: Get the details of a pending project invitation
+ *     description: Lets the invitation page show the project, inviter and role, and tell
+ *       whether the invitee must sign in or can register with the invitation.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation retrieved successfully
+ *       400:
+ *         description: Invitation is invalid or has expired
+ */
+exports.getProjectInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) return invalidInvitation(res);
+
+    await invitation.populate('project', 'name color');
+    await invitation.populate('invitedBy', 'name');
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        project: invitation.project,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        hasAccount: Boolean(await User.exists({ email: invitation.email }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a project invitation
+// @route   POST /api/project-invitations/:token/accept
+// @access  Private (the invited user)
+
+/**
+ * @swagger
+ * /api/project-invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a project invitation
+ *     description: The signed-in user's email must match the invited address. Invitees
+ *       without an account can instead pass the token as `invitationToken` to
+ *       `POST /api/auth/register`.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invitation is invalid or has expired
+ *       403:
+ *         description: Invitation was sent to a different email address, or the project is archived
+ */
+exports.acceptProjectInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) return invalidInvitation(res);
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (await isInvitationProjectArchived(invitation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const project = await joinProjectByInvitation(invitation, req.user);
+    if (!project) return invalidInvitation(res);
+
+    await project.populate([
+      { path: 'members.user', select: 'name email' },
+      { path: 'teams.team', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Decline a project invitation
+// @route   POST /api/project-invitations/:token/decline
+// @access  Public (holder of the token)
+
+/**
+ * @swagger
+ * /api/project-invitations/{token}/decline:
+ *   post:
+ *     summary: Decline a project invitation
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invitation is invalid or has expired
+ */
+exports.declineProjectInvitation = async (req, res, next) => {
+  try {
+    const invitation = await ProjectInvitation.findOneAndUpdate(
+      {
+        tokenHash: hashToken(req.params.token),
+        acceptedAt: null,
+        declinedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { declinedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) return invalidInvitation(res);
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
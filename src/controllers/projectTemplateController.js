@@ -0,0 +1,412 @@
+const ProjectTemplate = require('../models/ProjectTemplate');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { logActivity } = require('../utils/activityLogger');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const {
+  DAY_MS,
+  toTaskBlueprints,
+  createTasksFromBlueprints
+} = require('../utils/projectCopy');
+const {
+  validateProjectTemplate,
+  validateTemplateInstantiation
+} = require('../middlewares/validation');
+const { DEFAULT_PROJECT_ROLE } = require('../config/projectRoles');
+
+// Templates are only visible within the workspace selected for the request
+const findWorkspaceTemplate = (req) =>
+  ProjectTemplate.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+// @desc    Get project templates of the current workspace
+// @route   GET /api/project-templates
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/project-templates:
+ *   get:
+ *     summary: List the project templates of the current workspace
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getProjectTemplates = async (req, res, next) => {
+  try {
+    const templates = await ProjectTemplate.find({ workspace: req.workspace._id })
+      .select('-tasks')
+      .populate('createdBy', 'name email')
+      .sort('name');
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single project template
+// @route   GET /api/project-templates/:id
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/project-templates/{id}:
+ *   get:
+ *     summary: Get a project template with its tasks
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Template not found
+ */
+exports.getProjectTemplate = async (req, res, next) => {
+  try {
+    const template = await findWorkspaceTemplate(req).populate('createdBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save a project as a template
+// @route   POST /api/project-templates
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/project-templates:
+ *   post:
+ *     summary: Save an existing project as a reusable template
+ *     description: Stores the project's settings, workflow, custom fields and tasks. Task due dates are kept
+ *       as a number of days after the project start.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               includeTags:
+ *                 type: boolean
+ *                 default: true
+ *               includeDueDates:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.createProjectTemplate = async (req, res, next) => {
+  try {
+    const { error } = validateProjectTemplate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { projectId, name, description, includeTags = true, includeDueDates = true } = req.body;
+
+    const project = await Project.findOne({ _id: projectId, workspace: req.workspace._id, deletedAt: null });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const tasks = await Task.find({ project: project._id }).sort('createdAt');
+
+    const template = await ProjectTemplate.create({
+      name,
+      description: description !== undefined ? description : project.description,
+      workspace: req.workspace._id,
+      color: project.color,
+      durationDays: project.startDate && project.endDate
+        ? Math.round((project.endDate - project.startDate) / DAY_MS)
+        : undefined,
+      statuses: project.toObject().statuses,
+      customFields: project.toObject().customFields,
+      tasks: toTaskBlueprints(tasks, project, { includeTags, includeDueDates }).map((taskBlueprint) => {
+        const { dueOffsetMs, ...blueprint } = taskBlueprint;
+        return {
+          ...blueprint,
+          dueInDays: dueOffsetMs == null ? null : Math.round(dueOffsetMs / DAY_MS)
+        };
+      }),
+      sourceProject: project._id,
+      createdBy: req.user.id
+    });
+
+    await logActivity({
+      action: 'create',
+      entityType: 'template',
+      entityId: template._id,
+      description: `Saved project "${project.name}" as template "${template.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete project template
+// @route   DELETE /api/project-templates/:id
+// @access  Private (template creator, workspace owners)
+
+/**
+ * @swagger
+ * /api/project-templates/{id}:
+ *   delete:
+ *     summary: Delete a project template
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       403:
+ *         description: Not authorized to delete this template
+ *       404:
+ *         description: Template not found
+ */
+exports.deleteProjectTemplate = async (req, res, next) => {
+  try {
+    const template = await findWorkspaceTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (
+      template.createdBy.toString() !== req.user.id &&
+      !req.workspace.isOwner(req.user.id) &&
+      req.user.role !== 'admin'
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this template'
+      });
+    }
+
+    await ProjectTemplate.findByIdAndDelete(template._id);
+
+    await logActivity({
+      action: 'delete',
+      entityType: 'template',
+      entityId: template._id,
+      description: `Deleted template "${template.name}"`,
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a project from a template
+// @route   POST /api/project-templates/:id/instantiate
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/project-templates/{id}/instantiate:
+ *   post:
+ *     summary: Create a new project from a template
+ *     description: The caller owns the new project. Task due dates are placed relative to
+ *       `startDate`, which defaults to now.
+ *     tags: [Project Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Project created from the template
+ *       400:
+ *         description: Validation error or members outside the workspace
+ *       404:
+ *         description: Template not found
+ */
+exports.instantiateProjectTemplate = async (req, res, next) => {
+  try {
+    const { error } = validateTemplateInstantiation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const template = await findWorkspaceTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const memberIds = [...new Set(req.body.members || [])].filter((userId) => userId !== req.user.id);
+
+    if (memberIds.some((userId) => !req.workspace.isMember(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'All project members must belong to the workspace'
+      });
+    }
+
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+
+    const project = await Project.create({
+      name: req.body.name,
+      description: req.body.description !== undefined ? req.body.description : template.description,
+      color: req.body.color || template.color,
+      workspace: req.workspace._id,
+      startDate,
+      endDate: template.durationDays != null
+        ? new Date(startDate.getTime() + template.durationDays * DAY_MS)
+        : undefined,
+      statuses: template.statuses.length ? template.toObject().statuses : undefined,
+      customFields: template.toObject().customFields,
+      members: [
+        { user: req.user.id, role: 'owner' },
+        ...memberIds.map((user) => ({ user, role: DEFAULT_PROJECT_ROLE }))
+      ]
+    });
+
+    const tasks = await createTasksFromBlueprints(
+      project,
+      template.tasks.map((task) => ({
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        estimatedHours: task.estimatedHours,
+        storyPoints: task.storyPoints,
+        tags: task.tags,
+        customFields: task.customFields,
+        checklist: task.checklist,
+        parentIndex: task.parentIndex,
+        dueOffsetMs: task.dueInDays == null ? null : task.dueInDays * DAY_MS
+      })),
+      req.user.id,
+      startDate
+    );
+
+    await project.populate('members.user', 'name email');
+
+    await logActivity({
+      action: 'create',
+      entityType: 'project',
+      entityId: project._id,
+      description: `Created project "${project.name}" from template "${template.name}"`,
+      newValues: { template: template._id, tasks: tasks.length },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+};
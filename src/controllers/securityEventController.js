@@ -0,0 +1,98 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+// @desc    Get security events
+// @route   GET /api/auth/security-events
+// @access  Private (admins see every user's events)
+
+/**
+ * @swagger
+ * /api/auth/security-events:
+ *   get:
+ *     summary: Get security events
+ *     description: Users see events about their own account. Admins see all events and can
+ *       filter by `userId`.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: userId
+ *         description: Admin only
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getSecurityEvents = async (req, res, next) => {
+  try {
+    const { type, userId, from, to, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+
+    if (req.user.role === 'admin') {
+      if (userId) query.user = userId;
+    } else {
+      query.user = req.user.id;
+    }
+
+    if (type) query.type = type;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'name email')
+      .populate('actor', 'name email')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
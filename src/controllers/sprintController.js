@@ -0,0 +1,1081 @@
+const Sprint = require('../models/Sprint');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { logActivity } = require('../utils/activityLogger');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const {
+  validateSprint,
+  validateSprintUpdate,
+  validateSprintClose,
+  validateSprintTasks
+} = require('../middlewares/validation');
+
+const findWorkspaceProject = (req) =>
+  Project.findOne({ _id: req.params.id, workspace: req.workspace._id, deletedAt: null });
+
+const findProjectSprint = (req, project) =>
+  Sprint.findOne({ _id: req.params.sprintId, project: project._id });
+
+const archivedProject = (res) => res.status(403).json({
+  success: false,
+  message: 'Project is archived and read-only'
+});
+
+const closedSprint = (res) => res.status(400).json({
+  success: false,
+  message: 'Closed sprints cannot be changed'
+});
+
+// Number of tasks with their estimated hours and story points
+const totalsOf = (tasks) => ({
+  tasks: tasks.length,
+  hours: tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0),
+  points: tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0)
+});
+
+// Task counts, hours and points per status for each sprint, keyed by sprint id
+const getTaskStats = async (sprintIds) => {
+  const groups = await Task.aggregate([
+    { $match: { sprint: { $in: sprintIds } } },
+    {
+      $group: {
+        _id: { sprint: '$sprint', status: '$status' },
+        count: { $sum: 1 },
+        hours: { $sum: '$estimatedHours' },
+        points: { $sum: '$storyPoints' }
+      }
+    }
+  ]);
+
+  const stats = {};
+  groups.forEach(({ _id, ...totals }) => {
+    const key = _id.sprint.toString();
+    (stats[key] = stats[key] || []).push({ _id: _id.status, ...totals });
+  });
+  return stats;
+};
+
+// A sprint with the current work in it and how much of it is done
+const withProgress = (sprint, project, taskStats = []) => {
+  const doneStatuses = project.getStatusKeys('done');
+  const sum = (entries) => ({
+    tasks: entries.reduce((total, entry) => total + entry.count, 0),
+    hours: entries.reduce((total, entry) => total + entry.hours, 0),
+    points: entries.reduce((total, entry) => total + entry.points, 0)
+  });
+  const total = sum(taskStats);
+  const completed = sum(taskStats.filter((entry) => doneStatuses.includes(entry._id)));
+
+  return {
+    ...sprint.toObject(),
+    taskStats,
+    progress: {
+      total,
+      completed,
+      percent: total.tasks ? Math.round((completed.tasks / total.tasks) * 100) : 0
+    }
+  };
+};
+
+// @desc    Get sprints of a project
+// @route   GET /api/projects/:id/sprints
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints:
+ *   get:
+ *     summary: List the sprints of a project with their progress
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [planned, active, closed]
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Sprints retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getSprints = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const query = { project: project._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const sprints = await Sprint.find(query).sort('startDate');
+    const stats = await getTaskStats(sprints.map((sprint) => sprint._id));
+
+    res.json({
+      success: true,
+      data: sprints.map((sprint) => withProgress(sprint, project, stats[sprint._id.toString()]))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single sprint
+// @route   GET /api/projects/:id/sprints/:sprintId
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}:
+ *   get:
+ *     summary: Get a sprint with task counts, hours and points per status
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.getSprint = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const sprint = await findProjectSprint(req, project)
+      .populate('createdBy', 'name email')
+      .populate('carriedOverTo', 'name status');
+
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create sprint
+// @route   POST /api/projects/:id/sprints
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints:
+ *   post:
+ *     summary: Plan a sprint in a project
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Sprint created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project not found
+ */
+exports.createSprint = async (req, res, next) => {
+  try {
+    const { error } = validateSprint(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await Sprint.create({
+      name: req.body.name,
+      goal: req.body.goal,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      project: project._id,
+      workspace: project.workspace,
+      createdBy: req.user.id
+    });
+
+    await logActivity({
+      action: 'create',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Planned sprint "${sprint.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: withProgress(sprint, project)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update sprint
+// @route   PUT /api/projects/:id/sprints/:sprintId
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}:
+ *   put:
+ *     summary: Update the name, goal or dates of a sprint that is not closed
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Sprint updated successfully
+ *       400:
+ *         description: Validation error or sprint is closed
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.updateSprint = async (req, res, next) => {
+  try {
+    const { error } = validateSprintUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'closed') return closedSprint(res);
+
+    const oldValues = {
+      name: sprint.name,
+      goal: sprint.goal,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate
+    };
+
+    ['name', 'goal', 'startDate', 'endDate'].forEach((field) => {
+      if (req.body[field] !== undefined) sprint[field] = req.body[field];
+    });
+
+    if (sprint.endDate <= sprint.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The end date must be after the start date'
+      });
+    }
+
+    await sprint.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Updated sprint "${sprint.name}"`,
+      oldValues,
+      newValues: {
+        name: sprint.name,
+        goal: sprint.goal,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate
+      },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete sprint
+// @route   DELETE /api/projects/:id/sprints/:sprintId
+// @access  Private (project admins)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}:
+ *   delete:
+ *     summary: Delete a planned or active sprint
+ *     description: Its tasks go back to the backlog. Closed sprints are kept for the velocity
+ *       history.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint deleted successfully
+ *       400:
+ *         description: Sprint is closed
+ *       403:
+ *         description: Not authorized to delete sprints in this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.deleteSprint = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:delete'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'closed') return closedSprint(res);
+
+    await Task.updateMany({ sprint: sprint._id }, { sprint: null });
+    await Sprint.findByIdAndDelete(sprint._id);
+
+    await logActivity({
+      action: 'delete',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Deleted sprint "${sprint.name}"`,
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start sprint
+// @route   POST /api/projects/:id/sprints/:sprintId/start
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}/start:
+ *   post:
+ *     summary: Start a planned sprint
+ *     description: A project has at most one active sprint. The tasks, hours and story points
+ *       in the sprint at this moment are recorded as `committed`.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint started
+ *       400:
+ *         description: Sprint is not planned or another sprint is active
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.startSprint = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only planned sprints can be started'
+      });
+    }
+
+    if (await Sprint.exists({ project: project._id, status: 'active' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Close the active sprint of this project first'
+      });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('estimatedHours storyPoints');
+
+    sprint.status = 'active';
+    sprint.startedAt = new Date();
+    sprint.committed = totalsOf(tasks);
+    await sprint.save();
+
+    await logActivity({
+      action: 'status-change',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Started sprint "${sprint.name}"`,
+      oldValues: { status: 'planned' },
+      newValues: { status: 'active', committed: sprint.committed },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close sprint
+// @route   POST /api/projects/:id/sprints/:sprintId/close
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}/close:
+ *   post:
+ *     summary: Close the active sprint
+ *     description: Records the tasks, estimated hours and story points completed in the sprint
+ *       (tasks in a done status) as `completed`. Completed tasks stay in the sprint; unfinished
+ *       ones move to `nextSprintId`, a planned sprint of the project, or to the backlog.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nextSprintId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sprint closed
+ *       400:
+ *         description: Sprint is not active or the next sprint is not planned
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.closeSprint = async (req, res, next) => {
+  try {
+    const { error } = validateSprintClose(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active sprints can be closed'
+      });
+    }
+
+    let nextSprint = null;
+    if (req.body.nextSprintId) {
+      nextSprint = await Sprint.findOne({ _id: req.body.nextSprintId, project: project._id, status: 'planned' });
+      if (!nextSprint) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unfinished tasks can only move to a planned sprint of this project'
+        });
+      }
+    }
+
+    const doneStatuses = project.getStatusKeys('done');
+    const tasks = await Task.find({ sprint: sprint._id }).select('status estimatedHours storyPoints');
+    const completed = tasks.filter((task) => doneStatuses.includes(task.status));
+    const unfinished = tasks.filter((task) => !doneStatuses.includes(task.status));
+
+    await Task.updateMany(
+      { _id: { $in: unfinished.map((task) => task._id) } },
+      { sprint: nextSprint ? nextSprint._id : null }
+    );
+
+    sprint.status = 'closed';
+    sprint.closedAt = new Date();
+    sprint.completed = totalsOf(completed);
+    sprint.carriedOver = unfinished.length;
+    sprint.carriedOverTo = nextSprint ? nextSprint._id : null;
+    await sprint.save();
+
+    await logActivity({
+      action: 'status-change',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: nextSprint
+        ? `Closed sprint "${sprint.name}" and moved ${unfinished.length} unfinished tasks to "${nextSprint.name}"`
+        : `Closed sprint "${sprint.name}" and moved ${unfinished.length} unfinished tasks to the backlog`,
+      oldValues: { status: 'active' },
+      newValues: {
+        status: 'closed',
+        completed: sprint.completed,
+        carriedOver: sprint.carriedOver,
+        carriedOverTo: sprint.carriedOverTo
+      },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add tasks to sprint
+// @route   POST /api/projects/:id/sprints/:sprintId/tasks
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}/tasks:
+ *   post:
+ *     summary: Add tasks of the project to a sprint
+ *     description: Tasks already in another sprint move to this one.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               taskIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Tasks added to the sprint
+ *       400:
+ *         description: Validation error, sprint is closed or tasks outside the project
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project or sprint not found
+ */
+exports.addSprintTasks = async (req, res, next) => {
+  try {
+    const { error } = validateSprintTasks(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'closed') return closedSprint(res);
+
+    const taskIds = [...new Set(req.body.taskIds)];
+    const count = await Task.countDocuments({ _id: { $in: taskIds }, project: project._id });
+
+    if (count !== taskIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'All tasks must belong to this project'
+      });
+    }
+
+    await Task.updateMany({ _id: { $in: taskIds } }, { sprint: sprint._id });
+
+    await logActivity({
+      action: 'update',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Added ${taskIds.length} tasks to sprint "${sprint.name}"`,
+      newValues: { tasks: taskIds },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove task from sprint
+// @route   DELETE /api/projects/:id/sprints/:sprintId/tasks/:taskId
+// @access  Private (project editors)
+
+/**
+ * @swagger
+ * /api/projects/{id}/sprints/{sprintId}/tasks/{taskId}:
+ *   delete:
+ *     summary: Move a task of a sprint back to the backlog
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Task removed from the sprint
+ *       400:
+ *         description: Sprint is closed
+ *       403:
+ *         description: Not authorized to manage sprints in this project
+ *       404:
+ *         description: Project or sprint not found, or task not in the sprint
+ */
+exports.removeSprintTask = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'sprint:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage sprints in this project'
+      });
+    }
+
+    if (project.archivedAt) return archivedProject(res);
+
+    const sprint = await findProjectSprint(req, project);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'closed') return closedSprint(res);
+
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.taskId, sprint: sprint._id },
+      { sprint: null }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task is not in this sprint'
+      });
+    }
+
+    await logActivity({
+      action: 'update',
+      entityType: 'sprint',
+      entityId: sprint._id,
+      description: `Moved task "${task.title}" from sprint "${sprint.name}" to the backlog`,
+      oldValues: { task: task._id },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    const stats = await getTaskStats([sprint._id]);
+
+    res.json({
+      success: true,
+      data: withProgress(sprint, project, stats[sprint._id.toString()])
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get velocity history of a project
+// @route   GET /api/projects/:id/velocity
+// @access  Private (project members)
+
+/**
+ * @swagger
+ * /api/projects/{id}/velocity:
+ *   get:
+ *     summary: Get the committed and completed work of the last closed sprints
+ *     description: Sprints are returned oldest first, with the average completed tasks, hours
+ *       and story points per sprint.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Velocity retrieved successfully
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
+ */
+exports.getVelocity = async (req, res, next) => {
+  try {
+    const project = await findWorkspaceProject(req);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this project'
+      });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+
+    const sprints = (await Sprint.find({ project: project._id, status: 'closed' })
+      .select('name goal startDate endDate closedAt committed completed carriedOver')
+      .sort('-closedAt')
+      .limit(limit))
+      .reverse();
+
+    const average = (key) => (sprints.length
+      ? Math.round((sprints.reduce((sum, sprint) => sum + sprint.completed[key], 0) / sprints.length) * 10) / 10
+      : 0);
+
+    res.json({
+      success: true,
+      data: {
+        sprints,
+        average: {
+          tasks: average('tasks'),
+          hours: average('hours'),
+          points: average('points')
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
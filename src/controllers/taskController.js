@@ -1,7 +1,99 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const User = require('../models/User');
 const Project = require('../models/Project');
-const { validateTask } = require('../middlewares/validation');
+const Milestone = require('../models/Milestone');
+const Sprint = require('../models/Sprint');
+const TaskSeries = require('../models/TaskSeries');
+const TimeEntry = require('../models/TimeEntry');
+const {
+  validateTask,
+  validateTaskUpdate,
+  validateTaskMove,
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateTaskDependency,
+  validateTaskAssignee,
+  validateTaskWatcher,
+  validateRecurrence
+} = require('../middlewares/validation');
 const { logActivity } = require('../utils/activityLogger');
+const {
+  accessibleProjectsFilter,
+  getProjectRole,
+  hasProjectPermission
+} = require('../utils/projectAccess');
+const {
+  castCustomFieldValues,
+  buildCustomFieldQuery,
+  getCustomFieldSortKeys
+} = require('../utils/customFields');
+const { getEndRank, getMoveRank } = require('../utils/taskRanks');
+const { getSubtaskLevels, checkSubtaskParent, getTaskProgress } = require('../utils/subtasks');
+const { isTaskDone, wouldCreateCycle, getOpenBlockers } = require('../utils/taskDependencies');
+const {
+  TEMPLATE_FIELDS,
+  toRecurrenceRule,
+  toSeriesTemplate,
+  advanceSeries
+} = require('../utils/recurrence');
+
+// Assignees as a list of distinct ids; older clients send a single id
+const toUserIds = (value) => [...new Set([].concat(value || []).map(String))];
+
+// Whether a user has a role in a project, directly or through a team
+const isProjectMember = async (project, userId) =>
+  mongoose.isValidObjectId(userId) && (await getProjectRole(project, userId)) !== null;
+
+const findNonMember = async (project, userIds) => {
+  for (const userId of userIds) {
+    if (!(await isProjectMember(project, userId))) return userId;
+  }
+  return null;
+};
+
+// One assign activity entry for every user added to or removed from a task
+const logAssignmentChanges = async (req, task, projectId, before, after) => {
+  const added = after.filter((id) => !before.includes(id));
+  const removed = before.filter((id) => !after.includes(id));
+  if (added.length === 0 && removed.length === 0) return;
+
+  const users = await User.find({ _id: { $in: [...added, ...removed] } }).select('name');
+  const nameOf = (id) => {
+    const user = users.find((entry) => entry._id.toString() === id);
+    return user ? user.name : 'a deleted user';
+  };
+
+  const entries = [
+    ...added.map((id) => ({
+      description: `Assigned ${nameOf(id)} to task "${task.title}"`,
+      newValues: { assignee: id }
+    })),
+    ...removed.map((id) => ({
+      description: `Unassigned ${nameOf(id)} from task "${task.title}"`,
+      oldValues: { assignee: id }
+    }))
+  ];
+
+  for (const entry of entries) {
+    await logActivity({
+      action: 'assign',
+      entityType: 'task',
+      entityId: task._id,
+      ...entry,
+      user: req.user.id,
+      project: projectId,
+      workspace: req.workspace._id
+    });
+  }
+};
+
+// Checklist items as stored, with the time finished ones were checked off
+const toChecklist = (items = []) => items.map((item) => ({
+  text: item.text,
+  done: Boolean(item.done),
+  completedAt: item.done ? new Date() : undefined
+}));
 
 // @desc    Get all tasks with filtering, pagination
 // @route   GET /api/tasks
@@ -36,6 +128,39 @@ const { logActivity } = require('../utils/activityLogger');
  *         schema:
  *           type: string
  *         required: false
+ *         description: Tasks with this user among their assignees
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only the direct subtasks of this task
+ *       - in: query
+ *         name: topLevel
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only tasks that are not subtasks
+ *       - in: query
+ *         name: milestone
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: sprint
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: A sprint id, or `backlog` for tasks outside any sprint
+ *       - in: query
+ *         name: customFields
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         required: false
+ *         description: Custom field filters of the selected project, e.g.
+ *           `customFields[client]=Acme` or `customFields[points][gte]=3`
  *       - in: query
  *         name: page
  *         schema:
@@ -51,6 +176,8 @@ const { logActivity } = require('../utils/activityLogger');
  *         schema:
  *           type: string
  *         required: false
+ *         description: Field to sort by, prefixed with - for descending. Custom fields of the
+ *           selected project sort as `customFields.<key>`.
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
@@ -89,29 +216,84 @@ exports.getTasks = async (req, res, next) => {
       status,
       priority,
       assignedTo,
+      parent,
+      topLevel,
+      milestone,
+      sprint,
+      customFields,
       page = 1,
       limit = 10,
       sort = '-createdAt'
     } = req.query;
 
-    let query = {};
-    if (project) query.project = project;
+    // Custom fields are defined per project, so they only apply within one
+    const customSortKeys = getCustomFieldSortKeys(sort);
+    if (!project && (customFields || customSortKeys.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filtering or sorting by custom fields requires a project'
+      });
+    }
+
+    let query = { workspace: req.workspace._id };
     if (status) query.status = status;
     if (priority) query.priority = priority;
     if (assignedTo) query.assignedTo = assignedTo;
+    if (parent) query.parent = parent;
+    else if (topLevel === 'true') query.parent = null;
+    if (milestone) query.milestone = milestone;
+    if (sprint) query.sprint = sprint === 'backlog' ? null : sprint;
 
     if (project) {
-      const projectDoc = await Project.findById(project);
-      if (!projectDoc.members.includes(req.user.id) && projectDoc.manager.toString() !== req.user.id) {
+      const projectDoc = await Project.findOne({ _id: project, workspace: req.workspace._id, deletedAt: null });
+      if (!projectDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      if (!(await hasProjectPermission(projectDoc, req.user, 'project:read'))) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to access tasks in this project'
         });
       }
+
+      const unknownSortKey = customSortKeys.find((key) => !projectDoc.getCustomField(key));
+      if (unknownSortKey) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown custom field "${unknownSortKey}"`
+        });
+      }
+
+      if (customFields) {
+        const { error, query: customQuery } = buildCustomFieldQuery(projectDoc, customFields);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error
+          });
+        }
+        Object.assign(query, customQuery);
+      }
+
+      query.project = project;
+    } else {
+      const projectIds = await Project.find({
+        workspace: req.workspace._id,
+        deletedAt: null,
+        ...(await accessibleProjectsFilter(req.user.id, req.workspace._id))
+      }).distinct('_id');
+
+      query.project = { $in: projectIds };
     }
 
     const tasks = await Task.find(query)
       .populate('project', 'name color')
+      .populate('milestone', 'name dueDate status')
+      .populate('sprint', 'name status')
       .populate('assignedTo', 'name email')
       .populate('createdBy', 'name email')
       .sort(sort)
@@ -144,6 +326,8 @@ exports.getTasks = async (req, res, next) => {
  * /api/tasks/{id}:
  *   get:
  *     summary: Get single task
+ *     description: Includes the direct subtasks and `progress`, the completion rolled up from
+ *       all subtasks and the checklist.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -172,28 +356,42 @@ exports.getTasks = async (req, res, next) => {
  */
 exports.getTask = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('project', 'name color manager members')
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id })
+      .populate('project', 'name color members teams statuses archivedAt deletedAt')
+      .populate('parent', 'title status')
+      .populate('series', 'rule anchor occurrences lastDueDate endedAt')
+      .populate('blockedBy', 'title status project')
+      .populate('milestone', 'name dueDate status')
       .populate('assignedTo', 'name email')
+      .populate('watchers', 'name email')
       .populate('createdBy', 'name email');
 
-    if (!task) {
+    if (!task || task.project.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    if (!task.project.members.includes(req.user.id) && task.project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(task.project, req.user, 'project:read'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this task'
       });
     }
 
+    const subtasks = await Task.find({ parent: task._id })
+      .select('title status priority dueDate assignedTo')
+      .populate('assignedTo', 'name email')
+      .sort('createdAt');
+
     res.json({
       success: true,
-      data: task
+      data: {
+        ...task.toObject(),
+        subtasks,
+        progress: await getTaskProgress(task, task.project)
+      }
     });
   } catch (error) {
     next(error);
@@ -209,6 +407,10 @@ exports.getTask = async (req, res, next) => {
  * /api/tasks:
  *   post:
  *     summary: Create task
+ *     description: Tasks start in the first status of the project's workflow unless a status is given.
+ *       A `parent` task of the same project makes the new task its subtask. `assignedTo` takes
+ *       a list of project members, or a single one. A `recurrence` makes the task the first
+ *       occurrence of a series repeating from its due date.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -245,7 +447,7 @@ exports.createTask = async (req, res, next) => {
       });
     }
 
-    const project = await Project.findById(req.body.project);
+    const project = await Project.findOne({ _id: req.body.project, workspace: req.workspace._id, deletedAt: null });
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -253,18 +455,119 @@ exports.createTask = async (req, res, next) => {
       });
     }
 
-    if (!project.members.includes(req.user.id) && project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user, 'task:create'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create tasks in this project'
       });
     }
 
+    if (project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const assignedTo = toUserIds(req.body.assignedTo);
+    if (await findNonMember(project, assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignees must be members of the project'
+      });
+    }
+
+    if (req.body.parent) {
+      const { error: parentError } = await checkSubtaskParent(req.body.parent, project);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    if (req.body.milestone && !(await Milestone.exists({ _id: req.body.milestone, project: project._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone does not belong to this project'
+      });
+    }
+
+    if (req.body.sprint && !(await Sprint.exists({ _id: req.body.sprint, project: project._id, status: { $ne: 'closed' } }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sprint does not belong to this project or is closed'
+      });
+    }
+
+    const status = req.body.status || project.getInitialStatus();
+    if (!project.getStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${status}" is not a status of this project`
+      });
+    }
+
+    const { error: customFieldError, values: customFields } = castCustomFieldValues(
+      project,
+      req.workspace,
+      req.body.customFields
+    );
+    if (customFieldError) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldError
+      });
+    }
+
+    let rule;
+    if (req.body.recurrence) {
+      if (!req.body.dueDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurring tasks need a due date to repeat from'
+        });
+      }
+
+      const { error: recurrenceError, rule: recurrenceRule } = toRecurrenceRule(req.body.recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError
+        });
+      }
+      rule = recurrenceRule;
+    }
+
+    const seriesId = rule ? new mongoose.Types.ObjectId() : undefined;
+
     const task = await Task.create({
       ...req.body,
+      series: seriesId,
+      occurrence: rule ? 1 : undefined,
+      assignedTo,
+      status,
+      rank: await getEndRank(project._id, status),
+      checklist: toChecklist(req.body.checklist),
+      customFields,
+      workspace: project.workspace,
       createdBy: req.user.id
     });
 
+    if (rule) {
+      await TaskSeries.create({
+        _id: seriesId,
+        project: project._id,
+        workspace: project.workspace,
+        rule,
+        template: toSeriesTemplate(task),
+        anchor: task.dueDate,
+        lastDueDate: task.dueDate,
+        createdBy: req.user.id
+      });
+    }
+
     await task.populate('assignedTo', 'name email');
     await task.populate('project', 'name color');
 
@@ -273,10 +576,14 @@ exports.createTask = async (req, res, next) => {
       entityType: 'task',
       entityId: task._id,
       description: `Created task "${task.title}"`,
+      newValues: { status: task.status },
       user: req.user.id,
-      project: project._id
+      project: project._id,
+      workspace: req.workspace._id
     });
 
+    await logAssignmentChanges(req, task, project._id, [], assignedTo);
+
     res.status(201).json({
       success: true,
       data: task
@@ -295,6 +602,17 @@ exports.createTask = async (req, res, next) => {
  * /api/tasks/{id}:
  *   put:
  *     summary: Update task
+ *     description: A new status must be one of the project's workflow statuses and follow its
+ *       allowed transitions. Status changes are logged as `status-change` activity. `parent`
+ *       moves the task under another task of its project, or to the top level with null.
+ *       Tasks with subtasks cannot move to another project; moved subtasks become top-level.
+ *       A task cannot enter a done status while any task blocking it is open, unless
+ *       `ignoreBlockers` is true. `assignedTo` replaces the assignees, who must be project
+ *       members; a moved task keeps only those who are members of its new project. For a
+ *       recurring task, `scope=future` also applies the changes to the unfinished later
+ *       occurrences and to the ones still to come. It is also needed to change the recurrence,
+ *       or to stop it with a null `recurrence`. Unknown fields and update operators such as
+ *       `$set` are rejected.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -304,6 +622,14 @@ exports.createTask = async (req, res, next) => {
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [this, future]
+ *           default: this
+ *         required: false
+ *         description: Edit only this occurrence of a recurring task, or it and all future ones
  *     requestBody:
  *       required: true
  *       content:
@@ -331,41 +657,345 @@ exports.createTask = async (req, res, next) => {
  */
 exports.updateTask = async (req, res, next) => {
   try {
-    let task = await Task.findById(req.params.id).populate('project');
+    let task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
 
-    if (!task) {
+    if (!task || task.project.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    if (!task.project.members.includes(req.user.id) && task.project.manager.toString() !== req.user.id) {
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    // Ranks only change through the move endpoint, checklist items, watchers
+    // and dependencies through their own
+    const {
+      workspace,
+      createdBy,
+      rank,
+      checklist,
+      watchers,
+      blockedBy,
+      ignoreBlockers,
+      recurrence,
+      ...updates
+    } = req.body;
+
+    // Tasks join or leave a series only through their recurrence or a move
+    delete updates.series;
+    delete updates.occurrence;
+
+    // Actual hours are summed from the task's time entries
+    delete updates.actualHours;
+
+    const { error } = validateTaskUpdate(updates);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Occurrences of a recurring task are edited one at a time unless the
+    // change is meant for all future ones
+    const scope = req.query.scope || 'this';
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'scope must be this or future'
+      });
+    }
+
+    if (scope === 'future' && !task.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only recurring tasks can be edited for future occurrences'
+      });
+    }
+
+    // Tasks may only move to another accessible project of the same workspace
+    const moving = updates.project && updates.project !== task.project._id.toString();
+    let workflowProject = task.project;
+    if (moving) {
+      const target = await Project.findOne({ _id: updates.project, workspace: req.workspace._id, deletedAt: null });
+      if (!target || target.archivedAt || !(await hasProjectPermission(target, req.user, 'task:create'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to move this task to that project'
+        });
+      }
+      workflowProject = target;
+    }
+
+    if (updates.status !== undefined) {
+      if (!workflowProject.getStatus(updates.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `"${updates.status}" is not a status of this project`
+        });
+      }
+
+      // Transition rules only apply within one project's workflow
+      if (!moving && !task.project.canTransition(task.status, updates.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Tasks cannot move from "${task.status}" to "${updates.status}" in this project`
+        });
+      }
+
+      if (
+        !ignoreBlockers
+        && updates.status !== task.status
+        && workflowProject.getStatusKeys('done').includes(updates.status)
+      ) {
+        const openBlockers = await getOpenBlockers(task);
+        if (openBlockers.length) {
+          return res.status(400).json({
+            success: false,
+            message: `Task is blocked by ${openBlockers.map((blocker) => `"${blocker.title}"`).join(', ')}`
+          });
+        }
+      }
+    } else if (moving && !workflowProject.getStatus(task.status)) {
+      updates.status = workflowProject.getInitialStatus();
+    }
+
+    // A moved task takes the custom fields of its new project; otherwise only
+    // the given values change and null clears one
+    let unset;
+    if (moving || updates.customFields !== undefined) {
+      const { error: customFieldError, values, cleared } = castCustomFieldValues(
+        workflowProject,
+        req.workspace,
+        updates.customFields,
+        { partial: !moving }
+      );
+      if (customFieldError) {
+        return res.status(400).json({
+          success: false,
+          message: customFieldError
+        });
+      }
+
+      if (moving) {
+        updates.customFields = values;
+      } else {
+        delete updates.customFields;
+        Object.entries(values).forEach(([key, value]) => {
+          updates[`customFields.${key}`] = value;
+        });
+        if (cleared.length) {
+          unset = Object.fromEntries(cleared.map((key) => [`customFields.${key}`, '']));
+          updates.$unset = unset;
+        }
+      }
+    }
+
+    if (moving && (await Task.exists({ parent: task._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tasks with subtasks cannot move to another project'
+      });
+    }
+
+    if (updates.parent) {
+      const { error: parentError } = await checkSubtaskParent(updates.parent, workflowProject, task);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    } else if (moving) {
+      updates.parent = null;
+    }
+
+    const assignedBefore = toUserIds(task.assignedTo);
+    if (updates.assignedTo !== undefined) {
+      updates.assignedTo = toUserIds(updates.assignedTo);
+      if (await findNonMember(workflowProject, updates.assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignees must be members of the project'
+        });
+      }
+    } else if (moving) {
+      updates.assignedTo = [];
+      for (const userId of assignedBefore) {
+        if (await isProjectMember(workflowProject, userId)) updates.assignedTo.push(userId);
+      }
+    }
+
+    // Milestones and sprints belong to one project, so a moved task leaves its old ones
+    if (updates.milestone) {
+      if (!(await Milestone.exists({ _id: updates.milestone, project: workflowProject._id }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Milestone does not belong to this project'
+        });
+      }
+    } else if (moving) {
+      updates.milestone = null;
+    }
+
+    if (updates.sprint) {
+      if (!(await Sprint.exists({ _id: updates.sprint, project: workflowProject._id, status: { $ne: 'closed' } }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sprint does not belong to this project or is closed'
+        });
+      }
+    } else if (moving) {
+      updates.sprint = null;
+    }
+
+    // A one-off task starts repeating from its due date; the rule of a series
+    // only changes for all future occurrences, and null stops it
+    let rule;
+    if (recurrence !== undefined && task.series && scope !== 'future') {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurrence of a recurring task can only change with scope=future'
+      });
+    }
+
+    if (recurrence) {
+      const { error: recurrenceError } = validateRecurrence(recurrence);
+      const { error: ruleError, rule: recurrenceRule } = recurrenceError ? {} : toRecurrenceRule(recurrence);
+      if (recurrenceError || ruleError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError ? recurrenceError.details[0].message : ruleError
+        });
+      }
+
+      if (!(updates.dueDate || task.dueDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurring tasks need a due date to repeat from'
+        });
+      }
+      rule = recurrenceRule;
+    }
+
+    // A series stays in its project; a single occurrence moved elsewhere leaves it
+    if (moving && task.series) {
+      if (scope === 'future') {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurring tasks cannot move to another project for future occurrences'
+        });
+      }
+      updates.series = null;
+      updates.occurrence = null;
+    }
+
+    if (rule && !task.series) {
+      updates.series = new mongoose.Types.ObjectId();
+      updates.occurrence = 1;
+    }
+
+    // Unfinished later occurrences follow the changes made for all future ones
+    const followUps = {};
+    if (scope === 'future') {
+      Object.keys(updates).forEach((key) => {
+        if (TEMPLATE_FIELDS.includes(key) || key.startsWith('customFields.')) followUps[key] = updates[key];
+      });
+      if (unset) followUps.$unset = unset;
+    }
+
+    // Tasks entering another column go to its bottom
+    if (moving || (updates.status !== undefined && updates.status !== task.status)) {
+      updates.rank = await getEndRank(workflowProject._id, updates.status || task.status);
+    }
+
     const oldValues = { ...task.toObject() };
 
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
+    task = await Task.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     }).populate('assignedTo', 'name email')
       .populate('project', 'name color');
 
+    const statusChanged = task.status !== oldValues.status;
+
     await logActivity({
-      action: 'update',
+      action: statusChanged ? 'status-change' : 'update',
       entityType: 'task',
       entityId: task._id,
-      description: `Updated task "${task.title}"`,
+      description: statusChanged
+        ? `Moved task "${task.title}" from "${oldValues.status}" to "${task.status}"`
+        : `Updated task "${task.title}"`,
       oldValues,
       newValues: task.toObject(),
       user: req.user.id,
-      project: task.project._id
+      project: task.project._id,
+      workspace: req.workspace._id
     });
 
+    if (updates.assignedTo !== undefined) {
+      await logAssignmentChanges(req, task, task.project._id, assignedBefore, updates.assignedTo);
+    }
+
+    // Time logged on a moved task counts towards its new project
+    if (moving) {
+      await TimeEntry.updateMany({ task: task._id }, { project: task.project._id });
+    }
+
+    if (rule && !oldValues.series) {
+      await TaskSeries.create({
+        _id: task.series,
+        project: task.project._id,
+        workspace: req.workspace._id,
+        rule,
+        template: toSeriesTemplate(task),
+        anchor: task.dueDate,
+        lastDueDate: task.dueDate,
+        createdBy: req.user.id
+      });
+    } else if (scope === 'future') {
+      const series = await TaskSeries.findById(task.series);
+
+      if (series) {
+        if (Object.keys(followUps).length) {
+          await Task.updateMany({
+            series: series._id,
+            occurrence: { $gt: task.occurrence },
+            status: { $nin: workflowProject.getStatusKeys('done') }
+          }, followUps);
+        }
+
+        // The edited occurrence becomes the template for the ones after it
+        series.template = toSeriesTemplate(task);
+        if (rule) {
+          series.rule = rule;
+          series.anchor = task.dueDate;
+          series.lastDueDate = new Date(Math.max(series.lastDueDate, task.dueDate));
+          series.endedAt = null;
+        } else if (recurrence === null) {
+          series.endedAt = new Date();
+        }
+        await series.save();
+      }
+    }
+
+    if (statusChanged && workflowProject.getStatusKeys('done').includes(task.status)) {
+      await advanceSeries(task);
+    }
+
     res.json({
       success: true,
       data: task
@@ -375,15 +1005,19 @@ exports.updateTask = async (req, res, next) => {
   }
 };
 
-// @desc    Delete task
-// @route   DELETE /api/tasks/:id
+// @desc    Move task on the project board
+// @route   POST /api/tasks/:id/move
 // @access  Private
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   delete:
- *     summary: Delete task
+ * /api/tasks/{id}/move:
+ *   post:
+ *     summary: Move a task to a position in a board column
+ *     description: Places the task in `status` (its current status by default) directly below
+ *       `afterTaskId` and above `beforeTaskId`. Either neighbour may be omitted; without both,
+ *       the task goes to the bottom of the column. Status changes follow the project's
+ *       workflow transitions, and a blocked task only enters a done status with `ignoreBlockers`.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -393,43 +1027,237 @@ exports.updateTask = async (req, res, next) => {
  *         schema:
  *           type: string
  *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               afterTaskId:
+ *                 type: string
+ *               beforeTaskId:
+ *                 type: string
+ *               ignoreBlockers:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Task deleted successfully
+ *         description: Task moved successfully
+ *       400:
+ *         description: Unknown status, disallowed transition or invalid neighbours
+ *       403:
+ *         description: Not authorized to update this task
  *       404:
  *         description: Task not found
- *       403:
- *         description: Not authorized to delete this task
- *       401:
- *         description: Unauthorized
  */
-exports.deleteTask = async (req, res, next) => {
+exports.moveTask = async (req, res, next) => {
   try {
-    const task = await Task.findById(req.params.id).populate('project');
+    const { error } = validateTaskMove(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
 
-    if (!task) {
+    let task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
-    if (task.project.manager.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this task'
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const project = task.project;
+    const status = req.body.status || task.status;
+
+    if (!project.getStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${status}" is not a status of this project`
+      });
+    }
+
+    if (!project.canTransition(task.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tasks cannot move from "${task.status}" to "${status}" in this project`
+      });
+    }
+
+    if (!req.body.ignoreBlockers && status !== task.status && project.getStatusKeys('done').includes(status)) {
+      const openBlockers = await getOpenBlockers(task);
+      if (openBlockers.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Task is blocked by ${openBlockers.map((blocker) => `"${blocker.title}"`).join(', ')}`
+        });
+      }
+    }
+
+    const { error: rankError, rank } = await getMoveRank(task, status, req.body);
+    if (rankError) {
+      return res.status(400).json({
+        success: false,
+        message: rankError
+      });
+    }
+
+    const oldValues = { status: task.status, rank: task.rank };
+
+    task = await Task.findByIdAndUpdate(task._id, { status, rank }, { new: true })
+      .populate('assignedTo', 'name email')
+      .populate('milestone', 'name dueDate status');
+
+    const statusChanged = task.status !== oldValues.status;
+
+    await logActivity({
+      action: statusChanged ? 'status-change' : 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: statusChanged
+        ? `Moved task "${task.title}" from "${oldValues.status}" to "${task.status}"`
+        : `Reordered task "${task.title}"`,
+      oldValues,
+      newValues: { status: task.status, rank: task.rank },
+      user: req.user.id,
+      project: project._id,
+      workspace: req.workspace._id
+    });
+
+    if (statusChanged && project.getStatusKeys('done').includes(task.status)) {
+      await advanceSeries(task);
+    }
+
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete task
+// @route   DELETE /api/tasks/:id
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   delete:
+ *     summary: Delete task
+ *     description: A task with subtasks needs `subtasks=delete` to delete them along with it,
+ *       or `subtasks=reparent` to move its direct subtasks up to its own parent.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: subtasks
+ *         schema:
+ *           type: string
+ *           enum: [delete, reparent]
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Task deleted successfully
+ *       400:
+ *         description: The task has subtasks and no subtasks option was given
+ *       404:
+ *         description: Task not found
+ *       403:
+ *         description: Not authorized to delete this task
+ *       401:
+ *         description: Unauthorized
+ */
+exports.deleteTask = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:delete'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { subtasks } = req.query;
+    if (subtasks !== undefined && !['delete', 'reparent'].includes(subtasks)) {
+      return res.status(400).json({
+        success: false,
+        message: 'subtasks must be delete or reparent'
+      });
+    }
+
+    const levels = await getSubtaskLevels(task._id);
+    if (levels.length && !subtasks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task has subtasks; pass subtasks=delete to delete them too or subtasks=reparent to keep them'
       });
     }
 
+    let description = `Deleted task "${task.title}"`;
+    const deletedIds = [task._id];
+    if (levels.length && subtasks === 'delete') {
+      const subtaskIds = levels.flat().map((subtask) => subtask._id);
+      await Task.deleteMany({ _id: { $in: subtaskIds } });
+      deletedIds.push(...subtaskIds);
+      description += ` and its ${subtaskIds.length} subtasks`;
+    } else if (levels.length) {
+      await Task.updateMany({ parent: task._id }, { parent: task.parent });
+      description += ', moving its subtasks up a level';
+    }
+
     await Task.findByIdAndDelete(req.params.id);
+    await Task.updateMany({ blockedBy: { $in: deletedIds } }, { $pull: { blockedBy: { $in: deletedIds } } });
+    await TimeEntry.deleteMany({ task: { $in: deletedIds } });
 
     await logActivity({
       action: 'delete',
       entityType: 'task',
       entityId: task._id,
-      description: `Deleted task "${task.title}"`,
+      description,
       user: req.user.id,
-      project: task.project._id
+      project: task.project._id,
+      workspace: req.workspace._id
     });
 
     res.json({
@@ -440,3 +1268,1002 @@ exports.deleteTask = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Add checklist item to task
+// @route   POST /api/tasks/:id/checklist
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   post:
+ *     summary: Add an item to the checklist of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Checklist item added successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+exports.addChecklistItem = async (req, res, next) => {
+  try {
+    const { error } = validateChecklistItem(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    task.checklist.push(...toChecklist([req.body]));
+    await task.save();
+
+    const item = task.checklist[task.checklist.length - 1];
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: `Added checklist item "${item.text}" to task "${task.title}"`,
+      newValues: { checklistItem: item.toObject() },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update checklist item of task
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Rename or check off a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist item updated successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task or checklist item not found
+ */
+exports.updateChecklistItem = async (req, res, next) => {
+  try {
+    const { error } = validateChecklistItemUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const oldValues = item.toObject();
+
+    if (req.body.text !== undefined) item.text = req.body.text;
+    if (req.body.done !== undefined && req.body.done !== item.done) {
+      item.done = req.body.done;
+      item.completedAt = req.body.done ? new Date() : undefined;
+    }
+
+    await task.save();
+
+    let description = `Updated checklist item "${item.text}" on task "${task.title}"`;
+    if (item.done !== oldValues.done) {
+      description = item.done
+        ? `Checked off "${item.text}" on task "${task.title}"`
+        : `Unchecked "${item.text}" on task "${task.title}"`;
+    }
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description,
+      oldValues: { checklistItem: oldValues },
+      newValues: { checklistItem: item.toObject() },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove checklist item from task
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the checklist of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklist item removed successfully
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task or checklist item not found
+ */
+exports.deleteChecklistItem = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.deleteOne();
+    await task.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: `Removed checklist item "${item.text}" from task "${task.title}"`,
+      oldValues: { checklistItem: item.toObject() },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Linked tasks as listed by the dependency endpoints
+const toDependency = (task) => ({
+  _id: task._id,
+  title: task.title,
+  status: task.status,
+  project: { _id: task.project._id, name: task.project.name },
+  done: isTaskDone(task)
+});
+
+// @desc    Get dependencies of task
+// @route   GET /api/tasks/:id/dependencies
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get the tasks blocking a task and the tasks it blocks
+ *     description: Only linked tasks in projects the user can access are listed.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Dependencies retrieved successfully
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ */
+exports.getTaskDependencies = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const projectIds = await Project.find({
+      workspace: req.workspace._id,
+      deletedAt: null,
+      ...(await accessibleProjectsFilter(req.user.id, req.workspace._id))
+    }).distinct('_id');
+
+    const linked = (query) => Task.find({ ...query, project: { $in: projectIds } })
+      .select('title status project')
+      .populate('project', 'name statuses');
+
+    const [blockedBy, blocks] = await Promise.all([
+      linked({ _id: { $in: task.blockedBy } }),
+      linked({ blockedBy: task._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        blockedBy: blockedBy.map(toDependency),
+        blocks: blocks.map(toDependency),
+        isBlocked: blockedBy.some((blocker) => !isTaskDone(blocker))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Link task to a blocking or blocked task
+// @route   POST /api/tasks/:id/dependencies
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Link a task to a task it is blocked by or that it blocks
+ *     description: The other task may be in any project of the workspace the user can access.
+ *       Links that would make a task wait on itself through a chain of blockers are rejected.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - taskId
+ *             properties:
+ *               taskId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [blocked-by, blocks]
+ *                 default: blocked-by
+ *     responses:
+ *       201:
+ *         description: Dependency added successfully
+ *       400:
+ *         description: Invalid link, duplicate link or dependency cycle
+ *       403:
+ *         description: Not authorized to link these tasks
+ *       404:
+ *         description: Task not found
+ */
+exports.addTaskDependency = async (req, res, next) => {
+  try {
+    const { error } = validateTaskDependency(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const other = await Task.findOne({ _id: req.body.taskId, workspace: req.workspace._id }).populate('project');
+
+    if (!other || other.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Linked task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(other.project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access the linked task'
+      });
+    }
+
+    if (task.project.archivedAt || other.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    if (task._id.equals(other._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+
+    const blocks = req.body.type === 'blocks';
+    const blocked = blocks ? other : task;
+    const blocker = blocks ? task : other;
+
+    if (blocked.blockedBy.some((id) => id.equals(blocker._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'These tasks are already linked'
+      });
+    }
+
+    if (await wouldCreateCycle(blocked._id, blocker._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link would create a dependency cycle'
+      });
+    }
+
+    await Task.updateOne({ _id: blocked._id }, { $addToSet: { blockedBy: blocker._id } });
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: blocked._id,
+      description: `Marked task "${blocked.title}" as blocked by "${blocker.title}"`,
+      newValues: { blockedBy: blocker._id },
+      user: req.user.id,
+      project: blocked.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        blockedBy: toDependency(blocker),
+        blocks: toDependency(blocked)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove dependency between tasks
+// @route   DELETE /api/tasks/:id/dependencies/:taskId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{taskId}:
+ *   delete:
+ *     summary: Remove the link between two tasks, in whichever direction it runs
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Dependency removed successfully
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task or dependency not found
+ */
+exports.removeTaskDependency = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    // The link is stored on the blocked task, which may be either one
+    const other = await Task.findOne({
+      _id: req.params.taskId,
+      workspace: req.workspace._id,
+      $or: [{ _id: { $in: task.blockedBy } }, { blockedBy: task._id }]
+    });
+
+    if (!other) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    const blocks = other.blockedBy.some((id) => id.equals(task._id));
+    const blocked = blocks ? other : task;
+    const blocker = blocks ? task : other;
+
+    await Task.updateOne({ _id: blocked._id }, { $pull: { blockedBy: blocker._id } });
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: blocked._id,
+      description: `Task "${blocked.title}" is no longer blocked by "${blocker.title}"`,
+      oldValues: { blockedBy: blocker._id },
+      user: req.user.id,
+      project: blocked.project._id || blocked.project,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign user to task
+// @route   POST /api/tasks/:id/assignees
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees:
+ *   post:
+ *     summary: Add an assignee to a task
+ *     description: The user must be a member of the project, directly or through a team.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Assignee added successfully
+ *       400:
+ *         description: Not a project member or already assigned
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+exports.addTaskAssignee = async (req, res, next) => {
+  try {
+    const { error } = validateTaskAssignee(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const { userId } = req.body;
+
+    if (!(await isProjectMember(task.project, userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignees must be members of the project'
+      });
+    }
+
+    const assignedBefore = toUserIds(task.assignedTo);
+    if (assignedBefore.includes(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already assigned to this task'
+      });
+    }
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      { assignedTo: [...assignedBefore, userId] },
+      { new: true }
+    ).populate('assignedTo', 'name email');
+
+    await logAssignmentChanges(req, task, task.project._id, assignedBefore, [...assignedBefore, userId]);
+
+    res.status(201).json({
+      success: true,
+      data: updated.assignedTo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unassign user from task
+// @route   DELETE /api/tasks/:id/assignees/:userId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees/{userId}:
+ *   delete:
+ *     summary: Remove an assignee from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Assignee removed successfully
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found or user not assigned
+ */
+exports.removeTaskAssignee = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    const assignedBefore = toUserIds(task.assignedTo);
+    if (!assignedBefore.includes(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not assigned to this task'
+      });
+    }
+
+    const assignedAfter = assignedBefore.filter((id) => id !== req.params.userId);
+    const updated = await Task.findByIdAndUpdate(task._id, { assignedTo: assignedAfter }, { new: true })
+      .populate('assignedTo', 'name email');
+
+    await logAssignmentChanges(req, task, task.project._id, assignedBefore, assignedAfter);
+
+    res.json({
+      success: true,
+      data: updated.assignedTo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Watch task
+// @route   POST /api/tasks/:id/watchers
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers:
+ *   post:
+ *     summary: Add a watcher to a task
+ *     description: Anyone who can see the task can watch it. Adding someone else takes the
+ *       right to update the task, and they must have access to the project.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Defaults to the current user
+ *     responses:
+ *       201:
+ *         description: Watcher added successfully
+ *       400:
+ *         description: No access to the project or already watching
+ *       403:
+ *         description: Not authorized to change the watchers of this task
+ *       404:
+ *         description: Task not found
+ */
+exports.addTaskWatcher = async (req, res, next) => {
+  try {
+    const { error } = validateTaskWatcher(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const userId = req.body.userId || req.user.id.toString();
+    const permission = userId === req.user.id.toString() ? 'project:read' : 'task:update';
+
+    if (!(await hasProjectPermission(task.project, req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change the watchers of this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    if (!(await isProjectMember(task.project, userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Watchers must have access to the project'
+      });
+    }
+
+    if (task.watchers.some((id) => id.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already watching this task'
+      });
+    }
+
+    const updated = await Task.findByIdAndUpdate(task._id, { $addToSet: { watchers: userId } }, { new: true })
+      .populate('watchers', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: updated.watchers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop watching task
+// @route   DELETE /api/tasks/:id/watchers/:userId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers/{userId}:
+ *   delete:
+ *     summary: Remove a watcher from a task
+ *     description: Anyone can stop watching a task they can see. Removing someone else takes
+ *       the right to update the task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Watcher removed successfully
+ *       403:
+ *         description: Not authorized to change the watchers of this task
+ *       404:
+ *         description: Task not found or user not watching
+ */
+exports.removeTaskWatcher = async (req, res, next) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id }).populate('project');
+
+    if (!task || task.project.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { userId } = req.params;
+    const permission = userId === req.user.id.toString() ? 'project:read' : 'task:update';
+
+    if (!(await hasProjectPermission(task.project, req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change the watchers of this task'
+      });
+    }
+
+    if (task.project.archivedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Project is archived and read-only'
+      });
+    }
+
+    if (!task.watchers.some((id) => id.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not watching this task'
+      });
+    }
+
+    const updated = await Task.findByIdAndUpdate(task._id, { $pull: { watchers: userId } }, { new: true })
+      .populate('watchers', 'name email');
+
+    res.json({
+      success: true,
+      data: updated.watchers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,544 @@
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const { logActivity } = require('../utils/activityLogger');
+const { getProjectRole, hasProjectPermission, roleAtLeast } = require('../utils/projectAccess');
+const {
+  validateTeam,
+  validateTeamUpdate,
+  validateTeamMember
+} = require('../middlewares/validation');
+
+// Teams are only visible within the workspace selected for the request
+const findWorkspaceTeam = (req) =>
+  Team.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+// Workspace owners, global admins and the creator of a team may manage it
+const canManageTeam = (req, team) =>
+  team.createdBy.toString() === req.user.id ||
+  req.workspace.isOwner(req.user.id) ||
+  req.user.role === 'admin';
+
+// Changing who is in a team changes who holds its role on every project it is
+// attached to, so it also takes the right to manage members of each of those
+// projects, up to the role the team holds there
+const canManageTeamProjects = async (req, team) => {
+  const projects = await Project.find({ 'teams.team': team._id, deletedAt: null });
+
+  for (const project of projects) {
+    const { role } = project.teams.find((entry) => entry.team.equals(team._id));
+    if (
+      !(await hasProjectPermission(project, req.user, 'members:manage')) ||
+      (req.user.role !== 'admin' && !roleAtLeast(await getProjectRole(project, req.user.id), role))
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized to manage this team'
+});
+
+// @desc    Get teams of the current workspace
+// @route   GET /api/teams
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: List the teams of the current workspace
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only return teams the current user belongs to
+ *     responses:
+ *       200:
+ *         description: Teams retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getTeams = async (req, res, next) => {
+  try {
+    const query = { workspace: req.workspace._id };
+    if (req.query.mine === 'true') query.members = req.user.id;
+
+    const teams = await Team.find(query)
+      .populate('members', 'name email avatar')
+      .sort('name');
+
+    res.json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single team
+// @route   GET /api/teams/:id
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   get:
+ *     summary: Get a team with its members and the projects it is attached to
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Team retrieved successfully
+ *       404:
+ *         description: Team not found
+ */
+exports.getTeam = async (req, res, next) => {
+  try {
+    const team = await findWorkspaceTeam(req)
+      .populate('members', 'name email avatar')
+      .populate('createdBy', 'name email');
+
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const projects = await Project.find({ workspace: req.workspace._id, 'teams.team': team._id, deletedAt: null })
+      .select('name color status');
+
+    res.json({
+      success: true,
+      data: {
+        ...team.toObject(),
+        projects
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create team
+// @route   POST /api/teams
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/teams:
+ *   post:
+ *     summary: Create a team in the current workspace
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Team created successfully
+ *       400:
+ *         description: Validation error or members outside the workspace
+ */
+exports.createTeam = async (req, res, next) => {
+  try {
+    const { error } = validateTeam(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const members = [...new Set(req.body.members || [])];
+
+    if (members.some((userId) => !req.workspace.isMember(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'All team members must belong to the workspace'
+      });
+    }
+
+    const team = await Team.create({
+      name: req.body.name,
+      description: req.body.description,
+      workspace: req.workspace._id,
+      members,
+      createdBy: req.user.id
+    });
+
+    await team.populate('members', 'name email avatar');
+
+    await logActivity({
+      action: 'create',
+      entityType: 'team',
+      entityId: team._id,
+      description: `Created team "${team.name}"`,
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update team
+// @route   PUT /api/teams/:id
+// @access  Private (team creator, workspace owners)
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   put:
+ *     summary: Rename a team or change its description
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Team updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not authorized to manage this team
+ *       404:
+ *         description: Team not found
+ */
+exports.updateTeam = async (req, res, next) => {
+  try {
+    const { error } = validateTeamUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const team = await findWorkspaceTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManageTeam(req, team)) return forbidden(res);
+
+    const oldValues = { name: team.name, description: team.description };
+    if (req.body.name !== undefined) team.name = req.body.name;
+    if (req.body.description !== undefined) team.description = req.body.description;
+    await team.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'team',
+      entityId: team._id,
+      description: `Updated team "${team.name}"`,
+      oldValues,
+      newValues: { name: team.name, description: team.description },
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    await team.populate('members', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete team
+// @route   DELETE /api/teams/:id
+// @access  Private (team creator, workspace owners)
+
+/**
+ * @swagger
+ * /api/teams/{id}:
+ *   delete:
+ *     summary: Delete a team and detach it from all projects
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Team deleted successfully
+ *       403:
+ *         description: Not authorized to manage this team
+ *       404:
+ *         description: Team not found
+ */
+exports.deleteTeam = async (req, res, next) => {
+  try {
+    const team = await findWorkspaceTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManageTeam(req, team)) return forbidden(res);
+
+    await Project.updateMany({ workspace: req.workspace._id }, { $pull: { teams: { team: team._id } } });
+    await Team.findByIdAndDelete(team._id);
+
+    await logActivity({
+      action: 'delete',
+      entityType: 'team',
+      entityId: team._id,
+      description: `Deleted team "${team.name}"`,
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add member to team
+// @route   POST /api/teams/:id/members
+// @access  Private (team creator, workspace owners, with members:manage on attached projects)
+
+/**
+ * @swagger
+ * /api/teams/{id}/members:
+ *   post:
+ *     summary: Add a workspace member to a team
+ *     description: The user immediately gains access to every project the team is attached to,
+ *       so this also requires managing members of each of those projects.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Member added successfully
+ *       400:
+ *         description: User is not in the workspace or already in the team
+ *       403:
+ *         description: Not authorized to manage this team
+ *       404:
+ *         description: Team not found
+ */
+exports.addTeamMember = async (req, res, next) => {
+  try {
+    const { error } = validateTeamMember(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { userId } = req.body;
+
+    const team = await findWorkspaceTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!canManageTeam(req, team) || !(await canManageTeamProjects(req, team))) return forbidden(res);
+
+    if (!req.workspace.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    if (team.hasMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already in this team'
+      });
+    }
+
+    team.members.push(userId);
+    await team.save();
+
+    await logActivity({
+      action: 'assign',
+      entityType: 'team',
+      entityId: team._id,
+      description: `Added member to team "${team.name}"`,
+      newValues: { member: userId },
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    await team.populate('members', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove member from team
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private (team creator, workspace owners, or the member themselves)
+
+/**
+ * @swagger
+ * /api/teams/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a team
+ *     description: The user loses access to projects they could only reach through this team.
+ *       Removing someone else also requires managing members of each attached project.
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Not authorized to manage this team
+ *       404:
+ *         description: Team not found or user not in team
+ */
+exports.removeTeamMember = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const team = await findWorkspaceTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (userId !== req.user.id && (!canManageTeam(req, team) || !(await canManageTeamProjects(req, team)))) {
+      return forbidden(res);
+    }
+
+    if (!team.hasMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not in this team'
+      });
+    }
+
+    team.members = team.members.filter((id) => id.toString() !== userId);
+    await team.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'team',
+      entityId: team._id,
+      description: userId === req.user.id
+        ? `Left team "${team.name}"`
+        : `Removed member from team "${team.name}"`,
+      oldValues: { member: userId },
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    await team.populate('members', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,718 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const {
+  validateTimeEntry,
+  validateTimeEntryUpdate,
+  validateTimerStart,
+  validateTimerStop,
+  validateTimeReportQuery
+} = require('../middlewares/validation');
+const { logActivity } = require('../utils/activityLogger');
+const { accessibleProjectsFilter, hasProjectPermission } = require('../utils/projectAccess');
+const { TIME_REPORT_GROUPS, syncActualHours, getTimeReport } = require('../utils/timeTracking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns a task of the workspace selected for the request with its project,
+// or null when there is none or its project is in the trash.
+const findWorkspaceTask = async (req, taskId) => {
+  const task = await Task.findOne({ _id: taskId, workspace: req.workspace._id }).populate('project');
+  return task && !task.project.deletedAt ? task : null;
+};
+
+const archivedProject = (res) => res.status(403).json({
+  success: false,
+  message: 'Project is archived and read-only'
+});
+
+const formatHours = (minutes) => `${Math.round((minutes / 60) * 100) / 100}h`;
+
+// @desc    Get time entries of a task
+// @route   GET /api/time-entries/task/:taskId
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/task/{taskId}:
+ *   get:
+ *     summary: Get the time entries of a task, newest first
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Time entries retrieved successfully
+ *       403:
+ *         description: Not authorized to access this task
+ *       404:
+ *         description: Task not found
+ */
+exports.getTaskTimeEntries = async (req, res, next) => {
+  try {
+    const task = await findWorkspaceTask(req, req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'project:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    const entries = await TimeEntry.find({ task: task._id })
+      .populate('user', 'name email')
+      .sort('-start');
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log time on a task
+// @route   POST /api/time-entries
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries:
+ *   post:
+ *     summary: Log time worked on a task
+ *     description: Takes the start and either the end or the duration in minutes. Entries are
+ *       logged for the current user, and the task's actual hours are recomputed from them.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - task
+ *               - start
+ *             properties:
+ *               task:
+ *                 type: string
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: number
+ *                 description: Minutes, instead of the end
+ *               note:
+ *                 type: string
+ *               billable:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Time entry created successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Not authorized to log time on this task
+ *       404:
+ *         description: Task not found
+ */
+exports.createTimeEntry = async (req, res, next) => {
+  try {
+    const { error } = validateTimeEntry(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await findWorkspaceTask(req, req.body.task);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to log time on this task'
+      });
+    }
+
+    if (task.project.archivedAt) return archivedProject(res);
+
+    const start = new Date(req.body.start);
+    const entry = await TimeEntry.create({
+      task: task._id,
+      project: task.project._id,
+      workspace: req.workspace._id,
+      user: req.user.id,
+      start,
+      end: req.body.end || new Date(start.getTime() + req.body.duration * 60 * 1000),
+      note: req.body.note,
+      billable: req.body.billable
+    });
+
+    await syncActualHours(task._id);
+    await entry.populate('user', 'name email');
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: `Logged ${formatHours(entry.duration)} on task "${task.title}"`,
+      newValues: { timeEntry: entry._id, duration: entry.duration },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update time entry
+// @route   PUT /api/time-entries/:id
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/{id}:
+ *   put:
+ *     summary: Update a time entry
+ *     description: Only the user who logged an entry can change it. A running timer only takes
+ *       a new start, note or billable flag; it gets its end when stopped.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *               billable:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Time entry updated successfully
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Not authorized to update this time entry
+ *       404:
+ *         description: Time entry not found
+ */
+exports.updateTimeEntry = async (req, res, next) => {
+  try {
+    const { error } = validateTimeEntryUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const entry = await TimeEntry.findById(req.params.id);
+    const task = entry && await findWorkspaceTask(req, entry.task);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (entry.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this time entry'
+      });
+    }
+
+    if (task.project.archivedAt) return archivedProject(res);
+
+    if (entry.running && (req.body.end !== undefined || req.body.duration !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer to end this time entry'
+      });
+    }
+
+    const oldValues = entry.toObject();
+
+    if (req.body.start !== undefined) entry.start = req.body.start;
+    if (req.body.end !== undefined) entry.end = req.body.end;
+    if (req.body.duration !== undefined) {
+      entry.end = new Date(entry.start.getTime() + req.body.duration * 60 * 1000);
+    }
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    if (req.body.billable !== undefined) entry.billable = req.body.billable;
+
+    await entry.save();
+    await syncActualHours(task._id);
+    await entry.populate('user', 'name email');
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: `Updated a time entry on task "${task.title}"`,
+      oldValues: { timeEntry: oldValues },
+      newValues: { timeEntry: entry.toObject() },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete time entry
+// @route   DELETE /api/time-entries/:id
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/{id}:
+ *   delete:
+ *     summary: Delete a time entry
+ *     description: Only the user who logged an entry can delete it.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Time entry deleted successfully
+ *       403:
+ *         description: Not authorized to delete this time entry
+ *       404:
+ *         description: Time entry not found
+ */
+exports.deleteTimeEntry = async (req, res, next) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.id);
+    const task = entry && await findWorkspaceTask(req, entry.task);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (entry.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this time entry'
+      });
+    }
+
+    if (task.project.archivedAt) return archivedProject(res);
+
+    await entry.deleteOne();
+    await syncActualHours(task._id);
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: task._id,
+      description: `Removed ${formatHours(entry.duration)} logged on task "${task.title}"`,
+      oldValues: { timeEntry: entry.toObject() },
+      user: req.user.id,
+      project: task.project._id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get running timer of the current user
+// @route   GET /api/time-entries/timer
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/timer:
+ *   get:
+ *     summary: Get the running timer of the current user, or null
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Running timer retrieved successfully
+ */
+exports.getRunningTimer = async (req, res, next) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title status');
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start timer on a task
+// @route   POST /api/time-entries/timer/start
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/timer/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: Each user can have one running timer; stop it before starting another.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - task
+ *             properties:
+ *               task:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               billable:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Timer started successfully
+ *       400:
+ *         description: A timer is already running
+ *       403:
+ *         description: Not authorized to log time on this task
+ *       404:
+ *         description: Task not found
+ */
+exports.startTimer = async (req, res, next) => {
+  try {
+    const { error } = validateTimerStart(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const task = await findWorkspaceTask(req, req.body.task);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await hasProjectPermission(task.project, req.user, 'task:update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to log time on this task'
+      });
+    }
+
+    if (task.project.archivedAt) return archivedProject(res);
+
+    const running = await TimeEntry.findOne({ user: req.user.id, running: true }).populate('task', 'title');
+    if (running) {
+      return res.status(400).json({
+        success: false,
+        message: `A timer is already running on task "${running.task ? running.task.title : 'deleted task'}"`
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      project: task.project._id,
+      workspace: req.workspace._id,
+      user: req.user.id,
+      start: new Date(),
+      note: req.body.note,
+      billable: req.body.billable,
+      running: true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop the running timer
+// @route   POST /api/time-entries/timer/stop
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/timer/stop:
+ *   post:
+ *     summary: Stop the running timer of the current user
+ *     description: Turns the timer into a finished time entry, optionally with a new note or
+ *       billable flag, and recomputes the task's actual hours.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               billable:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Timer stopped successfully
+ *       404:
+ *         description: No timer is running
+ */
+exports.stopTimer = async (req, res, next) => {
+  try {
+    const { error } = validateTimerStop(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const entry = await TimeEntry.findOne({ user: req.user.id, running: true });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    entry.end = new Date();
+    entry.running = false;
+    if (req.body.note !== undefined) entry.note = req.body.note;
+    if (req.body.billable !== undefined) entry.billable = req.body.billable;
+
+    await entry.save();
+    await syncActualHours(entry.task);
+    await entry.populate('task', 'title status');
+
+    await logActivity({
+      action: 'update',
+      entityType: 'task',
+      entityId: entry.task._id,
+      description: `Logged ${formatHours(entry.duration)} on task "${entry.task.title}"`,
+      newValues: { timeEntry: entry._id, duration: entry.duration },
+      user: req.user.id,
+      project: entry.project,
+      workspace: entry.workspace
+    });
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get time report
+// @route   GET /api/time-entries/report
+// @access  Private
+
+/**
+ * @swagger
+ * /api/time-entries/report:
+ *   get:
+ *     summary: Get hours logged in the workspace, grouped by user, project and week
+ *     description: Covers finished time entries starting in the date range, in projects the
+ *       user can access. Weeks start on Monday.
+ *     tags: [Time Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: false
+ *         description: Defaults to now
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           default: user
+ *         required: false
+ *         description: Comma-separated list of user, project and week
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: billable
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Time report retrieved successfully
+ *       400:
+ *         description: Invalid query
+ */
+exports.getTimeReport = async (req, res, next) => {
+  try {
+    const { error } = validateTimeReportQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const groupBy = [...new Set((req.query.groupBy || 'user').split(','))]
+      .sort((a, b) => TIME_REPORT_GROUPS.indexOf(a) - TIME_REPORT_GROUPS.indexOf(b));
+
+    const projectIds = await Project.find({
+      workspace: req.workspace._id,
+      deletedAt: null,
+      ...(await accessibleProjectsFilter(req.user.id, req.workspace._id))
+    }).distinct('_id');
+
+    const match = {
+      workspace: req.workspace._id,
+      project: { $in: projectIds },
+      start: { $gte: from, $lte: to }
+    };
+
+    if (req.query.project) {
+      if (!projectIds.some((id) => id.toString() === req.query.project)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      match.project = new mongoose.Types.ObjectId(req.query.project);
+    }
+    if (req.query.user) {
+      if (!mongoose.isValidObjectId(req.query.user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user'
+        });
+      }
+      match.user = new mongoose.Types.ObjectId(req.query.user);
+    }
+    if (req.query.billable !== undefined) match.billable = req.query.billable === 'true';
+
+    res.json({
+      success: true,
+      data: {
+        range: { from, to },
+        groupBy,
+        ...(await getTimeReport(match, groupBy))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
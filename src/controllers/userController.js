@@ -0,0 +1,409 @@
+const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
+const { revokeSessions } = require('../utils/sessions');
+const { sendPasswordResetEmail } = require('../utils/emails');
+const { logActivity } = require('../utils/activityLogger');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const { validateRoleUpdate, validateUserStatus } = require('../middlewares/validation');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get all users with search, filtering, pagination
+// @route   GET /api/users
+// @access  Private/Admin
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Case-insensitive match on name or email
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *         required: false
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const { search, role, isActive, page = 1, limit = 20, sort = '-createdAt' } = req.query;
+
+    let query = {};
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single user
+// @route   GET /api/users/:id
+// @access  Private/Admin
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user by ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Admin role required
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change user role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, manager, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or attempt to change own role
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Admin role required
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { error } = validateRoleUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const oldRole = user.role;
+    if (oldRole === req.body.role) {
+      return res.json({
+        success: true,
+        data: user
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'user',
+      entityId: user._id,
+      description: `Changed role of ${user.email} from "${oldRole}" to "${user.role}"`,
+      oldValues: { role: oldRole },
+      newValues: { role: user.role },
+      user: req.user.id
+    });
+
+    await logSecurityEvent(req, {
+      type: 'role-changed',
+      user: user._id,
+      metadata: { from: oldRole, to: user.role }
+    });
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate or reactivate a user
+// @route   PUT /api/users/:id/status
+// @access  Private/Admin
+
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Deactivate or reactivate a user account
+ *     description: Deactivating an account revokes all of its sessions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Status updated successfully
+ *       400:
+ *         description: Validation error or attempt to deactivate own account
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Admin role required
+ */
+exports.updateUserStatus = async (req, res, next) => {
+  try {
+    const { error } = validateUserStatus(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = req.body.isActive;
+    await user.save();
+
+    if (!user.isActive) {
+      await revokeSessions(user._id, 'revoked');
+    }
+
+    if (wasActive !== user.isActive) {
+      await logActivity({
+        action: 'update',
+        entityType: 'user',
+        entityId: user._id,
+        description: `${user.isActive ? 'Reactivated' : 'Deactivated'} account ${user.email}`,
+        oldValues: { isActive: wasActive },
+        newValues: { isActive: user.isActive },
+        user: req.user.id
+      });
+
+      await logSecurityEvent(req, {
+        type: user.isActive ? 'account-reactivated' : 'account-deactivated',
+        user: user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Force a user to reset their password
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private/Admin
+
+/**
+ * @swagger
+ * /api/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to reset their password
+ *     description: Revokes all sessions and personal access tokens, blocks password login and
+ *       emails a reset link.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Password reset forced
+ *       404:
+ *         description: User not found
+ *       403:
+ *         description: Admin role required
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await revokeSessions(user._id, 'revoked');
+    await AccessToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    await sendPasswordResetEmail(user, resetToken, { forced: true });
+
+    await logActivity({
+      action: 'update',
+      entityType: 'user',
+      entityId: user._id,
+      description: `Forced password reset for ${user.email}`,
+      newValues: { passwordResetRequired: true },
+      user: req.user.id
+    });
+
+    await logSecurityEvent(req, {
+      type: 'password-reset-forced',
+      user: user._id
+    });
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,775 @@
+const crypto = require('crypto');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const ProjectTemplate = require('../models/ProjectTemplate');
+const User = require('../models/User');
+const { hashToken } = require('../utils/sessions');
+const { sendWorkspaceInvitation } = require('../utils/emails');
+const { logActivity } = require('../utils/activityLogger');
+const { purgeProject } = require('../utils/projectPurge');
+const {
+  validateWorkspace,
+  validateWorkspaceInvitation,
+  validateWorkspaceMemberRole
+} = require('../middlewares/validation');
+
+const removeId = (ids, userId) => ids.filter((id) => id.toString() !== userId.toString());
+
+// @desc    Get workspaces of current user
+// @route   GET /api/workspaces
+// @access  Private
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the workspaces the current user belongs to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workspaces retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+exports.getWorkspaces = async (req, res, next) => {
+  try {
+    const workspaces = await Workspace.find({
+      $or: [{ owners: req.user.id }, { members: req.user.id }]
+    }).sort('name');
+
+    res.json({
+      success: true,
+      data: workspaces.map((workspace) => ({
+        ...workspace.toObject(),
+        isDefault: workspace._id.equals(req.user.defaultWorkspace)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create workspace
+// @route   POST /api/workspaces
+// @access  Private
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace owned by the current user
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *       400:
+ *         description: Validation error
+ */
+exports.createWorkspace = async (req, res, next) => {
+  try {
+    const { error } = validateWorkspace(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      owners: [req.user.id],
+      createdBy: req.user.id
+    });
+
+    await logActivity({
+      action: 'create',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      description: `Created workspace "${workspace.name}"`,
+      user: req.user.id,
+      workspace: workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single workspace
+// @route   GET /api/workspaces/:workspaceId
+// @access  Private (workspace members)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace with its owners and members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Workspace retrieved successfully
+ *       403:
+ *         description: Not a member of this workspace
+ *       404:
+ *         description: Workspace not found
+ */
+exports.getWorkspace = async (req, res, next) => {
+  try {
+    await req.workspace.populate('owners', 'name email avatar');
+    await req.workspace.populate('members', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: req.workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update workspace
+// @route   PUT /api/workspaces/:workspaceId
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   put:
+ *     summary: Rename a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only workspace owners can perform this action
+ */
+exports.updateWorkspace = async (req, res, next) => {
+  try {
+    const { error } = validateWorkspace(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const oldValues = { name: req.workspace.name };
+    req.workspace.name = req.body.name;
+    await req.workspace.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'workspace',
+      entityId: req.workspace._id,
+      description: `Renamed workspace "${oldValues.name}" to "${req.workspace.name}"`,
+      oldValues,
+      newValues: { name: req.workspace.name },
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: req.workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete workspace
+// @route   DELETE /api/workspaces/:workspaceId
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   delete:
+ *     summary: Delete an empty workspace
+ *     description: Personal workspaces and workspaces that still contain projects cannot be deleted.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Workspace deleted successfully
+ *       400:
+ *         description: Workspace is personal or still has projects
+ *       403:
+ *         description: Only workspace owners can perform this action
+ */
+exports.deleteWorkspace = async (req, res, next) => {
+  try {
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Personal workspaces cannot be deleted'
+      });
+    }
+
+    if (await Project.exists({ workspace: req.workspace._id, deletedAt: null })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete or move all projects before deleting the workspace'
+      });
+    }
+
+    // Projects still in the trash go with the workspace
+    const trashedProjects = await Project.find({ workspace: req.workspace._id });
+    for (const project of trashedProjects) {
+      await purgeProject(project);
+    }
+
+    await WorkspaceInvitation.deleteMany({ workspace: req.workspace._id });
+    await Team.deleteMany({ workspace: req.workspace._id });
+    await ProjectTemplate.deleteMany({ workspace: req.workspace._id });
+    await Workspace.findByIdAndDelete(req.workspace._id);
+
+    await logActivity({
+      action: 'delete',
+      entityType: 'workspace',
+      entityId: req.workspace._id,
+      description: `Deleted workspace "${req.workspace.name}"`,
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's workspace role
+// @route   PUT /api/workspaces/:workspaceId/members/:userId
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   put:
+ *     summary: Promote a member to owner or demote an owner to member
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Validation error or last owner
+ *       404:
+ *         description: User is not a member of this workspace
+ */
+exports.updateWorkspaceMember = async (req, res, next) => {
+  try {
+    const { error } = validateWorkspaceMemberRole(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { workspace } = req;
+    const { userId } = req.params;
+
+    if (!workspace.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    if (req.body.role === 'owner' && !workspace.isOwner(userId)) {
+      workspace.members = removeId(workspace.members, userId);
+      workspace.owners.push(userId);
+    } else if (req.body.role === 'member' && workspace.isOwner(userId)) {
+      if (workspace.owners.length === 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'A workspace must keep at least one owner'
+        });
+      }
+      workspace.owners = removeId(workspace.owners, userId);
+      workspace.members.push(userId);
+    }
+
+    await workspace.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      description: `Changed workspace role of a member to "${req.body.role}"`,
+      newValues: { member: userId, role: req.body.role },
+      user: req.user.id,
+      workspace: workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from a workspace (or leave it)
+// @route   DELETE /api/workspaces/:workspaceId/members/:userId
+// @access  Private (workspace owners, or the member themselves)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the workspace, or leave it
+ *     description: The member is also removed from every project of the workspace.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Last owner, or the user is the only owner of a project
+ *       403:
+ *         description: Not authorized to remove this member
+ *       404:
+ *         description: User is not a member of this workspace
+ */
+exports.removeWorkspaceMember = async (req, res, next) => {
+  try {
+    const { workspace } = req;
+    const { userId } = req.params;
+
+    if (userId !== req.user.id && !workspace.isOwner(req.user.id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to remove this member'
+      });
+    }
+
+    if (!workspace.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    if (workspace.isOwner(userId) && workspace.owners.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace must keep at least one owner'
+      });
+    }
+
+    const ownedProjects = await Project.find({
+      workspace: workspace._id,
+      members: { $elemMatch: { user: userId, role: 'owner' } }
+    });
+
+    if (ownedProjects.some((project) => project.countOwners() === 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership of the projects this user owns before removing them'
+      });
+    }
+
+    workspace.owners = removeId(workspace.owners, userId);
+    workspace.members = removeId(workspace.members, userId);
+    await workspace.save();
+
+    await Project.updateMany({ workspace: workspace._id }, { $pull: { members: { user: userId } } });
+    await Team.updateMany({ workspace: workspace._id }, { $pull: { members: userId } });
+
+    await logActivity({
+      action: 'update',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      description: userId === req.user.id ? 'Left the workspace' : 'Removed a member from the workspace',
+      oldValues: { member: userId },
+      user: req.user.id,
+      workspace: workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending invitations of a workspace
+// @route   GET /api/workspaces/:workspaceId/invitations
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations:
+ *   get:
+ *     summary: List pending invitations of a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Only workspace owners can perform this action
+ */
+exports.getWorkspaceInvitations = async (req, res, next) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      workspace: req.workspace._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite someone to a workspace by email
+// @route   POST /api/workspaces/:workspaceId/invitations
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations:
+ *   post:
+ *     summary: Invite someone to the workspace by email
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or already a member
+ *       403:
+ *         description: Only workspace owners can perform this action
+ */
+exports.createWorkspaceInvitation = async (req, res, next) => {
+  try {
+    const { error } = validateWorkspaceInvitation(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && req.workspace.isMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await WorkspaceInvitation.updateMany(
+      { workspace: req.workspace._id, email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+
+    const invitation = await WorkspaceInvitation.create({
+      workspace: req.workspace._id,
+      email,
+      role: req.body.role || 'member',
+      tokenHash: hashToken(invitationToken),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + Number(process.env.INVITATION_EXPIRE_DAYS || 7) * 24 * 60 * 60 * 1000)
+    });
+
+    await sendWorkspaceInvitation(invitation, req.workspace, req.user, invitationToken);
+
+    await logActivity({
+      action: 'create',
+      entityType: 'workspace',
+      entityId: req.workspace._id,
+      description: `Invited ${email} to the workspace`,
+      newValues: { email, role: invitation.role },
+      user: req.user.id,
+      workspace: req.workspace._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invitation.toObject(),
+        tokenHash: undefined
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending workspace invitation
+// @route   DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+// @access  Private (workspace owners)
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: invitationId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ */
+exports.revokeWorkspaceInvitation = async (req, res, next) => {
+  try {
+    const invitation = await WorkspaceInvitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        workspace: req.workspace._id,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a workspace invitation
+// @route   POST /api/workspaces/invitations/:token/accept
+// @access  Private (the invited user)
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: The signed-in user's email must match the invited address.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       400:
+ *         description: Invitation is invalid or has expired
+ *       403:
+ *         description: Invitation was sent to a different email address
+ */
+exports.acceptWorkspaceInvitation = async (req, res, next) => {
+  try {
+    const invitation = await WorkspaceInvitation.findOne({ tokenHash: hashToken(req.params.token) });
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspace);
+    if (!workspace) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.role === 'owner') {
+      workspace.members = removeId(workspace.members, req.user.id);
+      if (!workspace.isOwner(req.user.id)) workspace.owners.push(req.user.id);
+    } else if (!workspace.isMember(req.user.id)) {
+      workspace.members.push(req.user.id);
+    }
+    await workspace.save();
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user.id;
+    await invitation.save();
+
+    await logActivity({
+      action: 'update',
+      entityType: 'workspace',
+      entityId: workspace._id,
+      description: `Joined workspace "${workspace.name}"`,
+      newValues: { member: req.user.id, role: invitation.role },
+      user: req.user.id,
+      workspace: workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
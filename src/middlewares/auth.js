@@ -1,5 +1,34 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const { hashToken } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { ACCESS_TOKEN_PREFIX } = require('../config/scopes');
+
+const authenticateAccessToken = async (req, res, next, token) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || !accessToken.isValid()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token is invalid, expired or revoked'
+    });
+  }
+
+  const user = await User.findById(accessToken.user);
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() });
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
 
 exports.protect = async (req, res, next) => {
   let token;
@@ -16,8 +45,30 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      return await authenticateAccessToken(req, res, next, token);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
+
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -27,6 +78,32 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Routes that manage the account itself (sessions, passwords, 2FA, tokens)
+// cannot be used with a personal access token.
+exports.requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route requires an interactive login'
+    });
+  }
+  next();
+};
+
+// Personal access tokens must carry the given scope; session logins are not
+// scope-restricted.
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access token is missing the required scope "${scope}"`
+      });
+    }
+    next();
+  };
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -38,3 +115,27 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Blocks accounts that have not confirmed their email address when the
+// REQUIRE_EMAIL_VERIFICATION policy is enabled.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
+
+// Blocks roles that must use two-factor authentication (REQUIRE_TWO_FACTOR_ROLES)
+// until they have enrolled.
+exports.requireTwoFactorEnrollment = (req, res, next) => {
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for your role to access this route'
+    });
+  }
+  next();
+};
@@ -14,6 +14,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = { message, statusCode: 400 };
+  }
+
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors).map(val => val.message);
     error = { message: message.join(', '), statusCode: 400 };
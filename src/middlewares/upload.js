@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const AVATAR_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Public URL of a stored file, served by the static `/uploads` route
+const toUploadUrl = (subdir, filename) => `/uploads/${subdir}/${filename}`;
+
+// Files uploaded for a comment live in a directory of their own, so removing
+// them never depends on the client-supplied attachment URLs
+const getCommentAttachmentDir = (commentId) => path.join(getUploadDir(), 'attachments', commentId.toString());
+
+// Resolves a `/uploads/...` URL back to a path on disk, or null when the URL
+// points somewhere else, including sibling directories reached through `..`.
+const fromUploadUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const filePath = path.join(getUploadDir(), url.slice('/uploads/'.length));
+  const relative = path.relative(getUploadDir(), filePath);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? filePath : null;
+};
+
+const diskStorage = (subdir, extensions) => multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(getUploadDir(), subdir);
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${req.user.id}-${crypto.randomBytes(8).toString('hex')}${extensions[file.mimetype]}`);
+  }
+});
+
+exports.uploadAvatar = multer({
+  storage: diskStorage('avatars', AVATAR_MIME_TYPES),
+  limits: {
+    fileSize: Number(process.env.AVATAR_MAX_SIZE_KB || 2048) * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_MIME_TYPES[file.mimetype]) {
+      const error = new Error('Avatar must be a JPEG, PNG, GIF or WebP image');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('avatar');
+
+exports.getUploadDir = getUploadDir;
+exports.toUploadUrl = toUploadUrl;
+exports.getCommentAttachmentDir = getCommentAttachmentDir;
+exports.fromUploadUrl = fromUploadUrl;
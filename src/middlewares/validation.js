@@ -1,11 +1,163 @@
 const Joi = require('joi');
+const { ACCESS_TOKEN_SCOPES } = require('../config/scopes');
+const { PROJECT_ROLES, TEAM_PROJECT_ROLES } = require('../config/projectRoles');
+const { STATUS_CATEGORIES } = require('../config/workflow');
+const { CUSTOM_FIELD_TYPES, SELECT_FIELD_TYPES } = require('../config/customFields');
+
+// Ordered workflow statuses whose transitions only refer to statuses of the list
+const workflowStatuses = Joi.array().items(Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+  name: Joi.string().max(50).required(),
+  category: Joi.string().valid(...STATUS_CATEGORIES).required(),
+  transitions: Joi.array().items(Joi.string())
+})).min(1).unique('key').custom((statuses, helpers) => {
+  const keys = statuses.map((status) => status.key);
+  const unknown = statuses
+    .flatMap((status) => status.transitions || [])
+    .find((key) => !keys.includes(key));
+
+  return unknown ? helpers.message(`Transition to unknown status "${unknown}"`) : statuses;
+});
+
+// Select fields need options; other field types cannot have any
+const customFieldOptions = Joi.array().items(Joi.string().max(100)).min(1).unique();
+
+const customFieldDefinition = Joi.object({
+  key: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+  name: Joi.string().max(50).required(),
+  type: Joi.string().valid(...CUSTOM_FIELD_TYPES).required(),
+  options: customFieldOptions.when('type', {
+    is: Joi.valid(...SELECT_FIELD_TYPES),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean()
+});
+
+// A recurrence given as fields or as an RRULE string, ending on a date or after a count
+const recurrenceRule = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly'),
+  interval: Joi.number().integer().min(1).max(365),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique(),
+  monthDay: Joi.number().integer().min(1).max(31),
+  until: Joi.date(),
+  count: Joi.number().integer().min(1).max(1000),
+  rrule: Joi.string().max(200)
+})
+  .xor('frequency', 'rrule')
+  .oxor('until', 'count')
+  .without('rrule', ['interval', 'weekdays', 'monthDay', 'until', 'count']);
 
 exports.validateUserRegistration = (data) => {
   const schema = Joi.object({
     name: Joi.string().max(50).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
-    role: Joi.string().valid('user', 'manager', 'admin')
+    invitationToken: Joi.string()
+  });
+  return schema.validate(data);
+};
+
+exports.validateForgotPassword = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateResetPassword = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().min(6).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateChangePassword = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode');
+  return schema.validate(data);
+};
+
+exports.validateTwoFactorDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode');
+  return schema.validate(data);
+};
+
+exports.validateAccessToken = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...ACCESS_TOKEN_SCOPES)).min(1).unique().required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).default(30)
+  });
+  return schema.validate(data);
+};
+
+exports.validateProfileUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(50),
+    email: Joi.string().email(),
+    currentPassword: Joi.string().when('email', { is: Joi.exist(), then: Joi.required() }),
+    bio: Joi.string().max(300).allow(''),
+    jobTitle: Joi.string().max(100).allow(''),
+    timezone: Joi.string().max(64)
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateRoleUpdate = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('user', 'manager', 'admin').required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateUserStatus = (data) => {
+  const schema = Joi.object({
+    isActive: Joi.boolean().required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateWorkspace = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateWorkspaceInvitation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('owner', 'member')
+  });
+  return schema.validate(data);
+};
+
+exports.validateWorkspaceMemberRole = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('owner', 'member').required()
   });
   return schema.validate(data);
 };
@@ -15,12 +167,148 @@ exports.validateTask = (data) => {
     title: Joi.string().max(200).required(),
     description: Joi.string().max(1000),
     project: Joi.string().required(),
-    assignedTo: Joi.string(),
-    status: Joi.string().valid('todo', 'in-progress', 'review', 'completed'),
+    parent: Joi.string().allow(null),
+    milestone: Joi.string().allow(null),
+    sprint: Joi.string().allow(null),
+    // A single id is still accepted from clients written for one assignee
+    assignedTo: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string()),
+    status: Joi.string(),
     priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
     dueDate: Joi.date(),
     tags: Joi.array().items(Joi.string()),
-    estimatedHours: Joi.number().min(0)
+    estimatedHours: Joi.number().min(0),
+    storyPoints: Joi.number().min(0),
+    checklist: Joi.array().items(Joi.object({
+      text: Joi.string().max(500).required(),
+      done: Joi.boolean()
+    })),
+    customFields: Joi.object(),
+    recurrence: recurrenceRule
+  });
+  return schema.validate(data);
+};
+
+// Fields that PUT /api/tasks/:id sets directly; anything else, update
+// operators included, never reaches the database
+exports.validateTaskUpdate = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().max(200),
+    description: Joi.string().max(1000).allow(''),
+    project: Joi.string(),
+    parent: Joi.string().allow(null),
+    milestone: Joi.string().allow(null),
+    sprint: Joi.string().allow(null),
+    assignedTo: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string()),
+    status: Joi.string(),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    dueDate: Joi.date().allow(null),
+    tags: Joi.array().items(Joi.string()),
+    estimatedHours: Joi.number().min(0).allow(null),
+    storyPoints: Joi.number().min(0).allow(null),
+    customFields: Joi.object()
+  });
+  return schema.validate(data);
+};
+
+exports.validateRecurrence = (data) => recurrenceRule.validate(data);
+
+exports.validateChecklistItem = (data) => {
+  const schema = Joi.object({
+    text: Joi.string().max(500).required(),
+    done: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateChecklistItemUpdate = (data) => {
+  const schema = Joi.object({
+    text: Joi.string().max(500),
+    done: Joi.boolean()
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateTaskMove = (data) => {
+  const schema = Joi.object({
+    status: Joi.string(),
+    afterTaskId: Joi.string(),
+    beforeTaskId: Joi.string(),
+    ignoreBlockers: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTimeEntry = (data) => {
+  const schema = Joi.object({
+    task: Joi.string().required(),
+    start: Joi.date().required(),
+    end: Joi.date().min(Joi.ref('start')),
+    // Minutes, as an alternative to giving the end
+    duration: Joi.number().integer().min(1).max(24 * 60),
+    note: Joi.string().max(500).allow(''),
+    billable: Joi.boolean()
+  }).xor('end', 'duration');
+  return schema.validate(data);
+};
+
+exports.validateTimeEntryUpdate = (data) => {
+  const schema = Joi.object({
+    start: Joi.date(),
+    end: Joi.date(),
+    duration: Joi.number().integer().min(1).max(24 * 60),
+    note: Joi.string().max(500).allow(''),
+    billable: Joi.boolean()
+  }).oxor('end', 'duration').min(1);
+  return schema.validate(data);
+};
+
+exports.validateTimerStart = (data) => {
+  const schema = Joi.object({
+    task: Joi.string().required(),
+    note: Joi.string().max(500).allow(''),
+    billable: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTimerStop = (data) => {
+  const schema = Joi.object({
+    note: Joi.string().max(500).allow(''),
+    billable: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTimeReportQuery = (data) => {
+  const schema = Joi.object({
+    from: Joi.date(),
+    to: Joi.date(),
+    groupBy: Joi.string().pattern(/^(user|project|week)(,(user|project|week))*$/),
+    project: Joi.string(),
+    user: Joi.string(),
+    billable: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTaskAssignee = (data) => {
+  const schema = Joi.object({
+    userId: Joi.string().required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTaskWatcher = (data) => {
+  const schema = Joi.object({
+    userId: Joi.string()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTaskDependency = (data) => {
+  const schema = Joi.object({
+    taskId: Joi.string().required(),
+    type: Joi.string().valid('blocked-by', 'blocks')
   });
   return schema.validate(data);
 };
@@ -30,6 +318,8 @@ exports.validateProject = (data) => {
     name: Joi.string().max(100).required(),
     description: Joi.string().max(500),
     members: Joi.array().items(Joi.string()),
+    statuses: workflowStatuses,
+    customFields: Joi.array().items(customFieldDefinition).unique('key'),
     status: Joi.string().valid('active', 'completed', 'on-hold', 'cancelled'),
     startDate: Joi.date(),
     endDate: Joi.date(),
@@ -38,6 +328,191 @@ exports.validateProject = (data) => {
   return schema.validate(data);
 };
 
+exports.validateProjectUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100),
+    description: Joi.string().max(500).allow(''),
+    status: Joi.string().valid('active', 'completed', 'on-hold', 'cancelled'),
+    startDate: Joi.date().allow(null),
+    endDate: Joi.date().allow(null),
+    color: Joi.string()
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectStatuses = (data) => {
+  const schema = Joi.object({
+    statuses: workflowStatuses.required(),
+    // Where tasks in removed statuses should go, e.g. { "review": "in-progress" }
+    statusMapping: Joi.object().pattern(Joi.string(), Joi.string())
+  });
+  return schema.validate(data);
+};
+
+exports.validateCustomField = (data) => customFieldDefinition.validate(data);
+
+exports.validateCustomFieldUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(50),
+    options: customFieldOptions,
+    required: Joi.boolean()
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateSprint = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    goal: Joi.string().max(500).allow(''),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().greater(Joi.ref('startDate')).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateSprintUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100),
+    goal: Joi.string().max(500).allow(''),
+    startDate: Joi.date(),
+    endDate: Joi.date()
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateSprintClose = (data) => {
+  const schema = Joi.object({
+    // Sprint for unfinished tasks; they go to the backlog without one
+    nextSprintId: Joi.string()
+  });
+  return schema.validate(data);
+};
+
+exports.validateSprintTasks = (data) => {
+  const schema = Joi.object({
+    taskIds: Joi.array().items(Joi.string()).min(1).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateAnalyticsQuery = (data) => {
+  const schema = Joi.object({
+    from: Joi.date(),
+    to: Joi.date(),
+    granularity: Joi.string().valid('day', 'week')
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectClone = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100),
+    startDate: Joi.date(),
+    includeTasks: Joi.boolean(),
+    includeTags: Joi.boolean(),
+    includeDueDates: Joi.boolean(),
+    includeMembers: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectTemplate = (data) => {
+  const schema = Joi.object({
+    projectId: Joi.string().required(),
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow(''),
+    includeTags: Joi.boolean(),
+    includeDueDates: Joi.boolean()
+  });
+  return schema.validate(data);
+};
+
+exports.validateTemplateInstantiation = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500),
+    startDate: Joi.date(),
+    members: Joi.array().items(Joi.string()),
+    color: Joi.string()
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectMember = (data) => {
+  const schema = Joi.object({
+    memberId: Joi.string().required(),
+    role: Joi.string().valid(...PROJECT_ROLES)
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectMemberRole = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid(...PROJECT_ROLES).required()
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectInvitation = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid(...PROJECT_ROLES)
+  });
+  return schema.validate(data);
+};
+
+exports.validateProjectTeam = (data) => {
+  const schema = Joi.object({
+    teamId: Joi.string().required(),
+    role: Joi.string().valid(...TEAM_PROJECT_ROLES)
+  });
+  return schema.validate(data);
+};
+
+exports.validateMilestone = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow(''),
+    dueDate: Joi.date().required(),
+    status: Joi.string().valid('open', 'completed')
+  });
+  return schema.validate(data);
+};
+
+exports.validateMilestoneUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100),
+    description: Joi.string().max(500).allow(''),
+    dueDate: Joi.date(),
+    status: Joi.string().valid('open', 'completed')
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateTeam = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow(''),
+    members: Joi.array().items(Joi.string())
+  });
+  return schema.validate(data);
+};
+
+exports.validateTeamUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(100),
+    description: Joi.string().max(500).allow('')
+  }).min(1);
+  return schema.validate(data);
+};
+
+exports.validateTeamMember = (data) => {
+  const schema = Joi.object({
+    userId: Joi.string().required()
+  });
+  return schema.validate(data);
+};
+
 exports.validateComment = (data) => {
   const schema = Joi.object({
     content: Joi.string().max(1000).required(),
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { createPersonalWorkspace } = require('../utils/workspaces');
+
+// Selects the workspace a request operates in, from the `workspaceId` path
+// segment (/api/workspaces/:workspaceId/...) or the X-Workspace-Id header,
+// falling back to the user's personal workspace. Sets `req.workspace`.
+exports.resolveWorkspace = async (req, res, next) => {
+  try {
+    const requestedId = req.params.workspaceId || req.get('X-Workspace-Id');
+
+    if (!requestedId) {
+      req.workspace = req.user.defaultWorkspace
+        ? await Workspace.findById(req.user.defaultWorkspace)
+        : null;
+
+      if (!req.workspace) {
+        req.workspace = await createPersonalWorkspace(req.user);
+      }
+
+      return next();
+    }
+
+    const workspace = mongoose.isValidObjectId(requestedId) && await Workspace.findById(requestedId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    if (!workspace.isMember(req.user.id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this workspace'
+      });
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.requireWorkspaceOwner = (req, res, next) => {
+  if (!req.workspace.isOwner(req.user.id) && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only workspace owners can perform this action'
+    });
+  }
+  next();
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { ACCESS_TOKEN_SCOPES } = require('../config/scopes');
+
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  tokenPrefix: String,
+  scopes: [{
+    type: String,
+    enum: ACCESS_TOKEN_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+accessTokenSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
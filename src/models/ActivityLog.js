@@ -9,7 +9,7 @@ const activityLogSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['project', 'task', 'comment', 'user']
+    enum: ['project', 'task', 'comment', 'user', 'workspace', 'team', 'template', 'milestone', 'sprint']
   },
   entityId: {
     type: mongoose.Schema.ObjectId,
@@ -26,6 +26,10 @@ const activityLogSchema = new mongoose.Schema({
   project: {
     type: mongoose.Schema.ObjectId,
     ref: 'Project'
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace'
   }
 }, {
   timestamps: true
@@ -33,5 +37,6 @@ const activityLogSchema = new mongoose.Schema({
 
 activityLogSchema.index({ project: 1, createdAt: -1 });
 activityLogSchema.index({ user: 1, createdAt: -1 });
+activityLogSchema.index({ workspace: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ActivityLog', activityLogSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, keyed by "account:<email>" or "ip:<address>". Documents
+// expire on their own once the failure window has passed.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
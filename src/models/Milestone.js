@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a milestone name'],
+    trim: true,
+    maxlength: [100, 'Milestone name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please add a due date']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed'],
+    default: 'open'
+  },
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+milestoneSchema.index({ project: 1, dueDate: 1 });
+
+// An open milestone whose due date has passed
+milestoneSchema.methods.isOverdue = function(now = new Date()) {
+  return this.status !== 'completed' && this.dueDate < now;
+};
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
@@ -1,4 +1,100 @@
 const mongoose = require('mongoose');
+const {
+  PROJECT_ROLES,
+  TEAM_PROJECT_ROLES,
+  DEFAULT_PROJECT_ROLE
+} = require('../config/projectRoles');
+const { STATUS_CATEGORIES, DEFAULT_STATUSES } = require('../config/workflow');
+const { CUSTOM_FIELD_TYPES } = require('../config/customFields');
+
+const projectMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: DEFAULT_PROJECT_ROLE
+  }
+}, {
+  _id: false
+});
+
+const projectTeamSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: TEAM_PROJECT_ROLES,
+    default: DEFAULT_PROJECT_ROLE
+  }
+}, {
+  _id: false
+});
+
+const projectStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Status key cannot be more than 50 characters']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Status name cannot be more than 50 characters']
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: true
+  },
+  // Keys of the statuses a task may move to from this one; unset allows all
+  transitions: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  _id: false
+});
+
+const customFieldSchema = new mongoose.Schema({
+  // Tasks store the value under customFields.<key>
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Field key cannot be more than 50 characters']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Field name cannot be more than 50 characters']
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true
+  },
+  // Allowed values of single-select and multi-select fields
+  options: {
+    type: [String],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -11,15 +107,22 @@ const projectSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
-  manager: {
+  workspace: {
     type: mongoose.Schema.ObjectId,
-    ref: 'User',
+    ref: 'Workspace',
     required: true
   },
-  members: [{
-    type: mongoose.Schema.ObjectId,
-    ref: 'User'
-  }],
+  members: [projectMemberSchema],
+  // Members of attached teams get access to the project with the team's role;
+  // team membership is resolved on every request so changes to a team apply
+  // immediately.
+  teams: [projectTeamSchema],
+  // Ordered task workflow; new tasks start in the first status
+  statuses: {
+    type: [projectStatusSchema],
+    default: () => DEFAULT_STATUSES.map((status) => ({ ...status }))
+  },
+  customFields: [customFieldSchema],
   status: {
     type: String,
     enum: ['active', 'completed', 'on-hold', 'cancelled'],
@@ -30,9 +133,63 @@ const projectSchema = new mongoose.Schema({
   color: {
     type: String,
     default: '#3B82F6'
+  },
+  // Archived projects stay readable but cannot be changed
+  archivedAt: Date,
+  archivedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Soft-deleted projects sit in the trash until they are restored or purged
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+projectSchema.index({ workspace: 1, 'members.user': 1 });
+projectSchema.index({ workspace: 1, 'teams.team': 1 });
+projectSchema.index({ deletedAt: 1 });
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+projectSchema.methods.getMember = function(userId) {
+  return this.members.find((member) => idOf(member.user).toString() === userId.toString());
+};
+
+projectSchema.methods.getTeam = function(teamId) {
+  return this.teams.find((entry) => idOf(entry.team).toString() === teamId.toString());
+};
+
+projectSchema.methods.countOwners = function() {
+  return this.members.filter((member) => member.role === 'owner').length;
+};
+
+projectSchema.methods.getStatus = function(key) {
+  return this.statuses.find((status) => status.key === key);
+};
+
+projectSchema.methods.getInitialStatus = function() {
+  return this.statuses[0].key;
+};
+
+// Keys of the statuses in a category, e.g. every status that counts as done
+projectSchema.methods.getStatusKeys = function(category) {
+  return this.statuses.filter((status) => status.category === category).map((status) => status.key);
+};
+
+projectSchema.methods.getCustomField = function(key) {
+  return this.customFields.find((field) => field.key === key);
+};
+
+projectSchema.methods.canTransition = function(from, to) {
+  if (from === to) return true;
+
+  const status = this.getStatus(from);
+  return !status || !status.transitions || status.transitions.includes(to);
+};
+
 module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES, DEFAULT_PROJECT_ROLE } = require('../config/projectRoles');
+
+const projectInvitationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: DEFAULT_PROJECT_ROLE
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  declinedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+projectInvitationSchema.index({ project: 1, email: 1 });
+projectInvitationSchema.index({ email: 1 });
+projectInvitationSchema.index({ tokenHash: 1 });
+
+projectInvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.declinedAt && !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('ProjectInvitation', projectInvitationSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('../config/workflow');
+const { CUSTOM_FIELD_TYPES } = require('../config/customFields');
+
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  tags: [String],
+  estimatedHours: Number,
+  storyPoints: Number,
+  customFields: mongoose.Schema.Types.Mixed,
+  checklist: [String],
+  // Position of the parent task in the template, for subtasks
+  parentIndex: Number,
+  // Days after the start of the instantiated project; null for no due date
+  dueInDays: Number
+}, {
+  _id: false
+});
+
+const templateStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: true
+  },
+  transitions: {
+    type: [String],
+    default: undefined
+  }
+}, {
+  _id: false
+});
+
+const templateCustomFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true
+  },
+  options: {
+    type: [String],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+const projectTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a template name'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  color: String,
+  // Length of the source project, used to set the end date of new projects
+  durationDays: Number,
+  // Workflow of the source project; empty for templates saved before
+  // workflows could be customised, which get the default statuses
+  statuses: [templateStatusSchema],
+  customFields: [templateCustomFieldSchema],
+  tasks: [templateTaskSchema],
+  sourceProject: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectTemplateSchema.index({ workspace: 1, name: 1 });
+
+module.exports = mongoose.model('ProjectTemplate', projectTemplateSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'login',
+      'login-failed',
+      'lockout',
+      'logout',
+      'session-revoked',
+      'sessions-revoked',
+      'refresh-token-reuse',
+      'password-changed',
+      'password-reset-requested',
+      'password-reset',
+      'two-factor-enabled',
+      'two-factor-disabled',
+      'recovery-codes-regenerated',
+      'access-token-created',
+      'access-token-revoked',
+      'role-changed',
+      'account-deactivated',
+      'account-reactivated',
+      'password-reset-forced',
+      'email-change-requested',
+      'email-changed'
+    ]
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  email: String,
+  ipAddress: String,
+  userAgent: String,
+  description: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Secrets rotated out of the session, most recent last, to tell a replayed
+  // refresh token from a guessed one
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoke-all', 'reuse-detected']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
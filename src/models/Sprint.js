@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Number of tasks with the sum of their estimated hours and story points
+const sprintTotalsSchema = new mongoose.Schema({
+  tasks: {
+    type: Number,
+    default: 0
+  },
+  hours: {
+    type: Number,
+    default: 0
+  },
+  points: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const sprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a sprint name'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot be more than 100 characters']
+  },
+  goal: {
+    type: String,
+    maxlength: [500, 'Goal cannot be more than 500 characters']
+  },
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'active', 'closed'],
+    default: 'planned'
+  },
+  startedAt: Date,
+  closedAt: Date,
+  // Work in the sprint when it started, and work finished when it closed;
+  // closed sprints make up the velocity history of the project
+  committed: sprintTotalsSchema,
+  completed: sprintTotalsSchema,
+  // Unfinished tasks moved on at closing, to a sprint or (null) the backlog
+  carriedOver: {
+    type: Number,
+    default: 0
+  },
+  carriedOverTo: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sprint'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ project: 1, status: 1 });
+sprintSchema.index({ project: 1, startDate: 1 });
+
+module.exports = mongoose.model('Sprint', sprintSchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Please add the checklist item text'],
+    trim: true,
+    maxlength: [500, 'Checklist items cannot be more than 500 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: Date
+});
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -13,20 +27,59 @@ const taskSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
-  assignedTo: {
+  workspace: {
     type: mongoose.Schema.ObjectId,
-    ref: 'User'
+    ref: 'Workspace',
+    required: true
+  },
+  milestone: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Milestone'
+  },
+  // Subtasks belong to the project of their parent; top-level tasks have none
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    default: null
   },
+  // Tasks, in any project, that must be done before this one
+  blockedBy: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task'
+  }],
+  // Tasks outside any sprint are in the project backlog
+  sprint: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sprint'
+  },
+  // Recurring tasks: the series they belong to and their number in it
+  series: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'TaskSeries'
+  },
+  occurrence: Number,
+  // Members of the project responsible for the task
+  assignedTo: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  // People following the task without owning it
+  watchers: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
     required: true
   },
+  // One of the keys of the project's workflow statuses
   status: {
     type: String,
-    enum: ['todo', 'in-progress', 'review', 'completed'],
-    default: 'todo'
+    required: true
   },
+  // Position within the status column of the project board, lowest first
+  rank: Number,
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -35,12 +88,28 @@ const taskSchema = new mongoose.Schema({
   dueDate: Date,
   tags: [String],
   estimatedHours: Number,
-  actualHours: Number
+  actualHours: Number,
+  storyPoints: {
+    type: Number,
+    min: [0, 'Story points cannot be negative']
+  },
+  checklist: [checklistItemSchema],
+  // Values of the project's custom fields, keyed by field key
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  }
 }, {
   timestamps: true
 });
 
-taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ project: 1, status: 1, rank: 1 });
+taskSchema.index({ workspace: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ milestone: 1 });
+taskSchema.index({ sprint: 1 });
+taskSchema.index({ series: 1, occurrence: 1 });
 taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ dueDate: 1 });
 
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// When the occurrences of a recurring task fall due; see utils/recurrence.js
+const recurrenceRuleSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // 0 (Sunday) to 6 (Saturday), for weekly rules
+  weekdays: {
+    type: [Number],
+    default: undefined
+  },
+  // For monthly rules; shorter months use their last day
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  until: Date,
+  // Total number of occurrences, the first one included
+  count: {
+    type: Number,
+    min: 1
+  }
+}, {
+  _id: false
+});
+
+const taskSeriesSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  rule: {
+    type: recurrenceRuleSchema,
+    required: true
+  },
+  // Fields every new occurrence starts with
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Due date the rule counts intervals from
+  anchor: {
+    type: Date,
+    required: true
+  },
+  // How many occurrences exist so far and when the latest is due
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastDueDate: {
+    type: Date,
+    required: true
+  },
+  // Set once the rule runs out or the recurrence is stopped
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+taskSeriesSchema.index({ endedAt: 1, lastDueDate: 1 });
+taskSeriesSchema.index({ project: 1 });
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
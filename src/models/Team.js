@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a team name'],
+    trim: true,
+    maxlength: [100, 'Team name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ workspace: 1, name: 1 }, { unique: true });
+teamSchema.index({ workspace: 1, members: 1 });
+
+teamSchema.methods.hasMember = function(userId) {
+  return this.members.some((id) => (id._id || id).toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Team', teamSchema);
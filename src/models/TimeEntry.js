@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Follows the task when it moves, so reports can group by project
+  project: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: [true, 'Please add a start time']
+  },
+  // Unset while the timer is running
+  end: Date,
+  // Minutes between start and end, kept in sync on save
+  duration: {
+    type: Number,
+    default: 0
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  billable: {
+    type: Boolean,
+    default: false
+  },
+  // Marks the running timer; a user has at most one
+  running: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+timeEntrySchema.index({ task: 1, start: -1 });
+timeEntrySchema.index({ workspace: 1, start: 1 });
+
+timeEntrySchema.pre('validate', function(next) {
+  if (this.end && this.end < this.start) {
+    this.invalidate('end', 'End cannot be before start');
+  }
+  this.duration = this.end ? Math.round((this.end - this.start) / 60000) : 0;
+  next();
+});
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
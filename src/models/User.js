@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -30,9 +31,85 @@ const userSchema = new mongoose.Schema({
     default: 'user'
   },
   avatar: String,
+  bio: {
+    type: String,
+    maxlength: [300, 'Bio cannot be more than 300 characters']
+  },
+  jobTitle: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Job title cannot be more than 100 characters']
+  },
+  timezone: String,
+  defaultWorkspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Id of the outstanding login challenge, cleared once it is used
+  twoFactorChallengeId: {
+    type: String,
+    select: false
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -40,14 +117,48 @@ const userSchema = new mongoose.Schema({
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(Number(process.env.BCRYPT_ROUNDS));
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
 });
 
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Stores only the hash of the reset token; the raw token is returned so it can
+// be emailed to the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES || 60) * 60 * 1000;
+
+  return resetToken;
+};
+
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24) * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// The new address only replaces `email` once the emailed token is confirmed
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const changeToken = crypto.randomBytes(32).toString('hex');
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto.createHash('sha256').update(changeToken).digest('hex');
+  this.emailChangeExpires = Date.now() + Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24) * 60 * 60 * 1000;
+
+  return changeToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
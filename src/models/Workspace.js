@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a workspace name'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot be more than 100 characters']
+  },
+  owners: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  members: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ owners: 1 });
+workspaceSchema.index({ members: 1 });
+
+const includesId = (ids, userId) => ids.some((id) => (id._id || id).toString() === userId.toString());
+
+workspaceSchema.methods.isOwner = function(userId) {
+  return includesId(this.owners, userId);
+};
+
+// Owners count as members
+workspaceSchema.methods.isMember = function(userId) {
+  return this.isOwner(userId) || includesId(this.members, userId);
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
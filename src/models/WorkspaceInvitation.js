@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'member'],
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+workspaceInvitationSchema.index({ workspace: 1, email: 1 });
+workspaceInvitationSchema.index({ tokenHash: 1 });
+
+workspaceInvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
@@ -3,11 +3,21 @@ const {
   getActivityLogs,
   getProjectActivityLogs
 } = require('../controllers/activityController');
-const { protect } = require('../middlewares/auth');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
+router.use(requireScope('activity:read'));
 
 router.get('/', getActivityLogs);
 router.get('/project/:projectId', getProjectActivityLogs);
@@ -1,11 +1,74 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authController');
-const { protect } = require('../middlewares/auth');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
+  updatePassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/authController');
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} = require('../controllers/accessTokenController');
+const { getSecurityEvents } = require('../controllers/securityEventController');
+const {
+  updateMe,
+  confirmEmailChange,
+  updateAvatar,
+  deleteAvatar
+} = require('../controllers/profileController');
+const { protect, requireSession } = require('../middlewares/auth');
+const { uploadAvatar } = require('../middlewares/upload');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.get('/me', protect, getMe);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', protect, requireSession, logout);
+router.route('/me')
+  .get(protect, getMe)
+  .put(protect, requireSession, updateMe);
+router.route('/me/avatar')
+  .put(protect, requireSession, uploadAvatar, updateAvatar)
+  .delete(protect, requireSession, deleteAvatar);
+router.get('/email-change/:token', confirmEmailChange);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.put('/password', protect, requireSession, updatePassword);
+router.post('/verify/resend', protect, requireSession, resendVerification);
+router.get('/verify/:token', verifyEmail);
+
+router.post('/2fa/setup', protect, requireSession, setupTwoFactor);
+router.post('/2fa/confirm', protect, requireSession, confirmTwoFactor);
+router.post('/2fa/disable', protect, requireSession, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, requireSession, regenerateRecoveryCodes);
+
+router.route('/sessions')
+  .get(protect, requireSession, getSessions)
+  .delete(protect, requireSession, revokeAllSessions);
+router.delete('/sessions/:id', protect, requireSession, revokeSession);
+
+router.get('/security-events', protect, requireSession, getSecurityEvents);
+
+router.route('/tokens')
+  .get(protect, requireSession, getAccessTokens)
+  .post(protect, requireSession, createAccessToken);
+router.delete('/tokens/:id', protect, requireSession, revokeAccessToken);
 
 module.exports = router;
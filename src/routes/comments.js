@@ -5,15 +5,24 @@ const {
   updateComment,
   deleteComment
 } = require('../controllers/commentController');
-const { protect } = require('../middlewares/auth');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
 
-router.get('/task/:taskId', getTaskComments);
-router.post('/', createComment);
-router.put('/:id', updateComment);
-router.delete('/:id', deleteComment);
+router.get('/task/:taskId', requireScope('comments:read'), getTaskComments);
+router.post('/', requireScope('comments:write'), createComment);
+router.put('/:id', requireScope('comments:write'), updateComment);
+router.delete('/:id', requireScope('comments:write'), deleteComment);
 
 module.exports = router;
@@ -3,7 +3,13 @@ const auth = require('./auth');
 const tasks = require('./tasks');
 const projects = require('./projects');
 const comments = require('./comments');
+const timeEntries = require('./timeEntries');
 const activity = require('./activity');
+const users = require('./users');
+const workspaces = require('./workspaces');
+const teams = require('./teams');
+const projectInvitations = require('./projectInvitations');
+const projectTemplates = require('./projectTemplates');
 
 const router = express.Router();
 
@@ -11,6 +17,22 @@ router.use('/auth', auth);
 router.use('/tasks', tasks);
 router.use('/projects', projects);
 router.use('/comments', comments);
+router.use('/time-entries', timeEntries);
 router.use('/activity', activity);
+router.use('/users', users);
+router.use('/teams', teams);
+router.use('/project-invitations', projectInvitations);
+router.use('/project-templates', projectTemplates);
+
+// Workspace-scoped resources can also select the workspace through the path
+// instead of the X-Workspace-Id header.
+router.use('/workspaces/:workspaceId/tasks', tasks);
+router.use('/workspaces/:workspaceId/projects', projects);
+router.use('/workspaces/:workspaceId/comments', comments);
+router.use('/workspaces/:workspaceId/time-entries', timeEntries);
+router.use('/workspaces/:workspaceId/activity', activity);
+router.use('/workspaces/:workspaceId/teams', teams);
+router.use('/workspaces/:workspaceId/project-templates', projectTemplates);
+router.use('/workspaces', workspaces);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getMyProjectInvitations,
+  getProjectInvitation,
+  acceptProjectInvitation,
+  declineProjectInvitation
+} = require('../controllers/projectInvitationController');
+const { protect, requireSession } = require('../middlewares/auth');
+
+const router = express.Router();
+
+router.get('/', protect, requireSession, getMyProjectInvitations);
+router.get('/:token', getProjectInvitation);
+router.post('/:token/accept', protect, requireSession, acceptProjectInvitation);
+router.post('/:token/decline', declineProjectInvitation);
+
+module.exports = router;
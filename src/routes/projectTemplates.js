@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getProjectTemplates,
+  getProjectTemplate,
+  createProjectTemplate,
+  deleteProjectTemplate,
+  instantiateProjectTemplate
+} = require('../controllers/projectTemplateController');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
+
+router.route('/')
+  .get(requireScope('projects:read'), getProjectTemplates)
+  .post(requireScope('projects:write'), createProjectTemplate);
+
+router.route('/:id')
+  .get(requireScope('projects:read'), getProjectTemplate)
+  .delete(requireScope('projects:write'), deleteProjectTemplate);
+
+router.post('/:id/instantiate', requireScope('projects:write'), instantiateProjectTemplate);
+
+module.exports = router;
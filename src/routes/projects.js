@@ -2,28 +2,130 @@ const express = require('express');
 const {
   getProjects,
   getProject,
+  getProjectBoard,
   createProject,
   updateProject,
   deleteProject,
+  getTrash,
+  restoreProject,
+  archiveProject,
+  unarchiveProject,
+  cloneProject,
+  updateProjectStatuses,
+  addCustomField,
+  updateCustomField,
+  removeCustomField,
+  getMembers,
   addMember,
-  removeMember
+  updateMemberRole,
+  removeMember,
+  attachTeam,
+  detachTeam
 } = require('../controllers/projectController');
-const { protect } = require('../middlewares/auth');
+const {
+  getProjectInvitations,
+  createProjectInvitation,
+  revokeProjectInvitation
+} = require('../controllers/projectInvitationController');
+const { getProjectAnalytics, getCriticalPath } = require('../controllers/analyticsController');
+const {
+  getMilestones,
+  getMilestone,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone
+} = require('../controllers/milestoneController');
+const {
+  getSprints,
+  getSprint,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+  addSprintTasks,
+  removeSprintTask,
+  getVelocity
+} = require('../controllers/sprintController');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
 
 router.route('/')
-  .get(getProjects)
-  .post(createProject);
+  .get(requireScope('projects:read'), getProjects)
+  .post(requireScope('projects:write'), createProject);
+
+router.get('/trash', requireScope('projects:admin'), getTrash);
 
 router.route('/:id')
-  .get(getProject)
-  .put(updateProject)
-  .delete(deleteProject);
+  .get(requireScope('projects:read'), getProject)
+  .put(requireScope('projects:write'), updateProject)
+  .delete(requireScope('projects:admin'), deleteProject);
+
+router.get('/:id/board', requireScope('projects:read'), getProjectBoard);
+router.get('/:id/analytics', requireScope('projects:read'), getProjectAnalytics);
+router.get('/:id/critical-path', requireScope('projects:read'), getCriticalPath);
+router.post('/:id/restore', requireScope('projects:admin'), restoreProject);
+router.post('/:id/archive', requireScope('projects:admin'), archiveProject);
+router.post('/:id/unarchive', requireScope('projects:admin'), unarchiveProject);
+router.post('/:id/clone', requireScope('projects:write'), cloneProject);
+router.put('/:id/statuses', requireScope('projects:write'), updateProjectStatuses);
+
+router.post('/:id/custom-fields', requireScope('projects:write'), addCustomField);
+router.route('/:id/custom-fields/:key')
+  .put(requireScope('projects:write'), updateCustomField)
+  .delete(requireScope('projects:write'), removeCustomField);
+
+router.route('/:id/members')
+  .get(requireScope('projects:read'), getMembers)
+  .post(requireScope('projects:admin'), addMember)
+  .delete(requireScope('projects:admin'), removeMember);
+
+router.route('/:id/members/:userId')
+  .put(requireScope('projects:admin'), updateMemberRole)
+  .delete(requireScope('projects:admin'), removeMember);
+
+router.route('/:id/invitations')
+  .get(requireScope('projects:admin'), getProjectInvitations)
+  .post(requireScope('projects:admin'), createProjectInvitation);
+router.delete('/:id/invitations/:invitationId', requireScope('projects:admin'), revokeProjectInvitation);
+
+router.route('/:id/milestones')
+  .get(requireScope('projects:read'), getMilestones)
+  .post(requireScope('projects:write'), createMilestone);
+
+router.route('/:id/milestones/:milestoneId')
+  .get(requireScope('projects:read'), getMilestone)
+  .put(requireScope('projects:write'), updateMilestone)
+  .delete(requireScope('projects:write'), deleteMilestone);
+
+router.route('/:id/sprints')
+  .get(requireScope('projects:read'), getSprints)
+  .post(requireScope('projects:write'), createSprint);
+
+router.route('/:id/sprints/:sprintId')
+  .get(requireScope('projects:read'), getSprint)
+  .put(requireScope('projects:write'), updateSprint)
+  .delete(requireScope('projects:write'), deleteSprint);
+
+router.post('/:id/sprints/:sprintId/start', requireScope('projects:write'), startSprint);
+router.post('/:id/sprints/:sprintId/close', requireScope('projects:write'), closeSprint);
+router.post('/:id/sprints/:sprintId/tasks', requireScope('projects:write'), addSprintTasks);
+router.delete('/:id/sprints/:sprintId/tasks/:taskId', requireScope('projects:write'), removeSprintTask);
+router.get('/:id/velocity', requireScope('projects:read'), getVelocity);
 
-router.post('/:id/members', addMember);
-router.delete('/:id/members', removeMember);
+router.post('/:id/teams', requireScope('projects:admin'), attachTeam);
+router.delete('/:id/teams/:teamId', requireScope('projects:admin'), detachTeam);
 
 module.exports = router;
@@ -4,21 +4,58 @@ const {
   getTask,
   createTask,
   updateTask,
-  deleteTask
+  deleteTask,
+  moveTask,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  addTaskAssignee,
+  removeTaskAssignee,
+  addTaskWatcher,
+  removeTaskWatcher
 } = require('../controllers/taskController');
-const { protect } = require('../middlewares/auth');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
 
 router.route('/')
-  .get(getTasks)
-  .post(createTask);
+  .get(requireScope('tasks:read'), getTasks)
+  .post(requireScope('tasks:write'), createTask);
 
 router.route('/:id')
-  .get(getTask)
-  .put(updateTask)
-  .delete(deleteTask);
+  .get(requireScope('tasks:read'), getTask)
+  .put(requireScope('tasks:write'), updateTask)
+  .delete(requireScope('tasks:write'), deleteTask);
+
+router.post('/:id/move', requireScope('tasks:write'), moveTask);
+
+router.post('/:id/checklist', requireScope('tasks:write'), addChecklistItem);
+router.route('/:id/checklist/:itemId')
+  .put(requireScope('tasks:write'), updateChecklistItem)
+  .delete(requireScope('tasks:write'), deleteChecklistItem);
+
+router.route('/:id/dependencies')
+  .get(requireScope('tasks:read'), getTaskDependencies)
+  .post(requireScope('tasks:write'), addTaskDependency);
+router.delete('/:id/dependencies/:taskId', requireScope('tasks:write'), removeTaskDependency);
+
+router.post('/:id/assignees', requireScope('tasks:write'), addTaskAssignee);
+router.delete('/:id/assignees/:userId', requireScope('tasks:write'), removeTaskAssignee);
+router.post('/:id/watchers', requireScope('tasks:write'), addTaskWatcher);
+router.delete('/:id/watchers/:userId', requireScope('tasks:write'), removeTaskWatcher);
 
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember
+} = require('../controllers/teamController');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
+
+router.route('/')
+  .get(requireScope('teams:read'), getTeams)
+  .post(requireScope('teams:write'), createTeam);
+
+router.route('/:id')
+  .get(requireScope('teams:read'), getTeam)
+  .put(requireScope('teams:write'), updateTeam)
+  .delete(requireScope('teams:write'), deleteTeam);
+
+router.post('/:id/members', requireScope('teams:write'), addTeamMember);
+router.delete('/:id/members/:userId', requireScope('teams:write'), removeTeamMember);
+
+module.exports = router;
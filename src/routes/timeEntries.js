@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getTaskTimeEntries,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  getTimeReport
+} = require('../controllers/timeEntryController');
+const {
+  protect,
+  requireVerifiedEmail,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+const { resolveWorkspace } = require('../middlewares/workspace');
+
+const router = express.Router({ mergeParams: true });
+
+router.use(protect);
+router.use(requireVerifiedEmail);
+router.use(requireTwoFactorEnrollment);
+router.use(resolveWorkspace);
+
+router.get('/timer', requireScope('tasks:read'), getRunningTimer);
+router.post('/timer/start', requireScope('tasks:write'), startTimer);
+router.post('/timer/stop', requireScope('tasks:write'), stopTimer);
+router.get('/report', requireScope('tasks:read'), getTimeReport);
+router.get('/task/:taskId', requireScope('tasks:read'), getTaskTimeEntries);
+router.post('/', requireScope('tasks:write'), createTimeEntry);
+router.put('/:id', requireScope('tasks:write'), updateTimeEntry);
+router.delete('/:id', requireScope('tasks:write'), deleteTimeEntry);
+
+module.exports = router;
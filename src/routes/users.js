@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset
+} = require('../controllers/userController');
+const { getPublicProfile } = require('../controllers/profileController');
+const {
+  protect,
+  authorize,
+  requireSession,
+  requireTwoFactorEnrollment,
+  requireScope
+} = require('../middlewares/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/:id/profile', requireScope('users:read'), getPublicProfile);
+
+router.use(requireSession);
+router.use(requireTwoFactorEnrollment);
+router.use(authorize('admin'));
+
+router.get('/', getUsers);
+router.get('/:id', getUser);
+router.put('/:id/role', updateUserRole);
+router.put('/:id/status', updateUserStatus);
+router.post('/:id/force-password-reset', forcePasswordReset);
+
+module.exports = router;
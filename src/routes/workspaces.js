@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  getWorkspaceInvitations,
+  createWorkspaceInvitation,
+  revokeWorkspaceInvitation,
+  acceptWorkspaceInvitation
+} = require('../controllers/workspaceController');
+const { protect, requireSession, requireScope } = require('../middlewares/auth');
+const { resolveWorkspace, requireWorkspaceOwner } = require('../middlewares/workspace');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(requireScope('workspaces:read'), getWorkspaces)
+  .post(requireSession, createWorkspace);
+
+router.post('/invitations/:token/accept', requireSession, acceptWorkspaceInvitation);
+
+router.route('/:workspaceId')
+  .get(requireScope('workspaces:read'), resolveWorkspace, getWorkspace)
+  .put(requireSession, resolveWorkspace, requireWorkspaceOwner, updateWorkspace)
+  .delete(requireSession, resolveWorkspace, requireWorkspaceOwner, deleteWorkspace);
+
+router.route('/:workspaceId/members/:userId')
+  .put(requireSession, resolveWorkspace, requireWorkspaceOwner, updateWorkspaceMember)
+  .delete(requireSession, resolveWorkspace, removeWorkspaceMember);
+
+router.route('/:workspaceId/invitations')
+  .get(requireSession, resolveWorkspace, requireWorkspaceOwner, getWorkspaceInvitations)
+  .post(requireSession, resolveWorkspace, requireWorkspaceOwner, createWorkspaceInvitation);
+router.delete(
+  '/:workspaceId/invitations/:invitationId',
+  requireSession,
+  resolveWorkspace,
+  requireWorkspaceOwner,
+  revokeWorkspaceInvitation
+);
+
+module.exports = router;
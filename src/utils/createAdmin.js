@@ -0,0 +1,36 @@
+// Promotes an existing account to admin. Registration always creates plain
+// users, so this is how the first admin is bootstrapped:
+//   npm run create-admin -- someone@example.com
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+  } else {
+    console.log(`${user.email} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const toDate = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toUserId = (value, workspace) =>
+  mongoose.isValidObjectId(value) && workspace.isMember(value)
+    ? new mongoose.Types.ObjectId(value)
+    : undefined;
+
+// The stored form of a task value, or undefined when it does not fit the field
+const castValue = (field, value, workspace) => {
+  switch (field.type) {
+    case 'text':
+      return typeof value === 'string' && value.length <= 1000 ? value : undefined;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'date':
+      return toDate(value);
+    case 'single-select':
+      return field.options.includes(value) ? value : undefined;
+    case 'multi-select':
+      return Array.isArray(value) && value.every((option) => field.options.includes(option))
+        ? [...new Set(value)]
+        : undefined;
+    case 'user':
+      return toUserId(value, workspace);
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Validates custom field values of a task against the definitions of its
+ * project and converts them to their stored form. `null` clears a value.
+ * Unless `partial` is set, every required field must have a value.
+ * Returns { error } or { values, cleared }.
+ */
+const castCustomFieldValues = (project, workspace, input = {}, { partial = false } = {}) => {
+  const values = {};
+  const cleared = [];
+
+  for (const [key, value] of Object.entries(input)) {
+    const field = project.getCustomField(key);
+    if (!field) return { error: `Unknown custom field "${key}"` };
+
+    if (value === null) {
+      if (field.required) return { error: `Custom field "${field.name}" is required` };
+      cleared.push(key);
+      continue;
+    }
+
+    const cast = castValue(field, value, workspace);
+    if (cast === undefined) return { error: `Invalid value for custom field "${field.name}"` };
+    values[key] = cast;
+  }
+
+  if (!partial) {
+    const missing = project.customFields.find((field) => field.required && values[field.key] === undefined);
+    if (missing) return { error: `Custom field "${missing.name}" is required` };
+  }
+
+  return { values, cleared };
+};
+
+// Query strings only carry text, so filter values are parsed by field type
+const castFilterValue = (field, raw) => {
+  if (typeof raw !== 'string') return undefined;
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(raw);
+      return raw !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'date':
+      return toDate(raw);
+    case 'single-select':
+    case 'multi-select':
+      return field.options.includes(raw) ? raw : undefined;
+    case 'user':
+      return mongoose.isValidObjectId(raw) ? new mongoose.Types.ObjectId(raw) : undefined;
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Turns `customFields[<key>]=<value>` query parameters into task query
+ * conditions. Number and date fields also take ranges such as
+ * `customFields[<key>][gte]=<value>`; multi-select fields match tasks that
+ * have the option. Returns { error } or { query }.
+ */
+const buildCustomFieldQuery = (project, filters) => {
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Custom field filters must be given as customFields[<key>]=<value>' };
+  }
+
+  const query = {};
+
+  for (const [key, raw] of Object.entries(filters)) {
+    const field = project.getCustomField(key);
+    if (!field) return { error: `Unknown custom field "${key}"` };
+
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      if (!['number', 'date'].includes(field.type)) {
+        return { error: `Custom field "${field.name}" does not support ranges` };
+      }
+
+      const condition = {};
+      for (const [operator, value] of Object.entries(raw)) {
+        const cast = RANGE_OPERATORS.includes(operator) ? castFilterValue(field, value) : undefined;
+        if (cast === undefined) return { error: `Invalid filter for custom field "${field.name}"` };
+        condition[`$${operator}`] = cast;
+      }
+      query[`customFields.${key}`] = condition;
+    } else {
+      const cast = castFilterValue(field, raw);
+      if (cast === undefined) return { error: `Invalid filter for custom field "${field.name}"` };
+      query[`customFields.${key}`] = cast;
+    }
+  }
+
+  return { query };
+};
+
+// Keys of the custom fields a Mongoose sort string such as
+// "-customFields.points createdAt" sorts by
+const getCustomFieldSortKeys = (sort) =>
+  String(sort)
+    .split(/\s+/)
+    .map((part) => part.replace(/^-/, ''))
+    .filter((part) => part.startsWith('customFields.'))
+    .map((part) => part.slice('customFields.'.length));
+
+/**
+ * Custom field values that carry over when a task is copied into a project
+ * with the same definitions. Values of user fields are only kept when people
+ * are copied too.
+ */
+const copyCustomFieldValues = (project, values = {}, includeUsers = false) => {
+  const copy = {};
+
+  project.customFields.forEach((field) => {
+    if (values[field.key] === undefined) return;
+    if (field.type === 'user' && !includeUsers) return;
+    copy[field.key] = values[field.key];
+  });
+
+  return copy;
+};
+
+module.exports = {
+  castCustomFieldValues,
+  buildCustomFieldQuery,
+  getCustomFieldSortKeys,
+  copyCustomFieldValues
+};
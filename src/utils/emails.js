@@ -0,0 +1,64 @@
+const { sendMail } = require('./mailer');
+
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+const sendVerificationEmail = (user, verificationToken) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your TaskFlow email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${clientUrl(`/verify-email/${verificationToken}`)}\n\nThe link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24} hours.`
+  });
+};
+
+const sendPasswordResetEmail = (user, resetToken, { forced = false } = {}) => {
+  const intro = forced
+    ? 'An administrator has required you to choose a new password before you can log in again.'
+    : 'We received a request to reset your password.';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your TaskFlow password',
+    text: `Hi ${user.name},\n\n${intro} Use the link below to choose a new one:\n\n${clientUrl(`/reset-password/${resetToken}`)}\n\nIf you did not request this, you can ignore this email.`
+  });
+};
+
+const sendEmailChangeVerification = (user, changeToken) => {
+  return sendMail({
+    to: user.pendingEmail,
+    subject: 'Confirm your new TaskFlow email address',
+    text: `Hi ${user.name},\n\nPlease confirm that you want to use this address for your TaskFlow account:\n\n${clientUrl(`/confirm-email-change/${changeToken}`)}\n\nUntil you confirm, you keep signing in with ${user.email}.`
+  });
+};
+
+const sendEmailChangedNotice = (user, oldEmail) => {
+  return sendMail({
+    to: oldEmail,
+    subject: 'Your TaskFlow email address was changed',
+    text: `Hi ${user.name},\n\nThe email address of your TaskFlow account was changed to ${user.email}. If you did not make this change, please contact an administrator immediately.`
+  });
+};
+
+const sendWorkspaceInvitation = (invitation, workspace, inviter, invitationToken) => {
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to the "${workspace.name}" workspace on TaskFlow`,
+    text: `Hi,\n\n${inviter.name} invited you to join the "${workspace.name}" workspace on TaskFlow. Sign in or create an account with this email address, then accept the invitation:\n\n${clientUrl(`/workspace-invitations/${invitationToken}`)}\n\nThe invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+const sendProjectInvitation = (invitation, project, inviter, invitationToken) => {
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to the "${project.name}" project on TaskFlow`,
+    text: `Hi,\n\n${inviter.name} invited you to join the "${project.name}" project on TaskFlow as ${invitation.role}. Accept or decline the invitation here; if you do not have an account yet you can create one on the same page:\n\n${clientUrl(`/project-invitations/${invitationToken}`)}\n\nThe invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeVerification,
+  sendEmailChangedNotice,
+  sendWorkspaceInvitation,
+  sendProjectInvitation
+};
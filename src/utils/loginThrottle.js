@@ -0,0 +1,108 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Per-account and per-IP failed login tracking. After a few failures every
+// further attempt has to wait an exponentially growing delay, and past the
+// lockout threshold the key is locked for a fixed period. IPs get a larger
+// budget than accounts since many users may share one address.
+
+const settings = () => {
+  const threshold = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10);
+  const delayAfter = Number(process.env.LOGIN_DELAY_AFTER || 3);
+  const ipMultiplier = Number(process.env.LOGIN_IP_THRESHOLD_MULTIPLIER || 5);
+
+  return {
+    windowMs: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000,
+    lockoutMs: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000,
+    maxDelayMs: 60 * 1000,
+    account: { threshold, delayAfter },
+    ip: { threshold: threshold * ipMultiplier, delayAfter: delayAfter * ipMultiplier }
+  };
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const keysFor = (email, ip) => [accountKey(email), ipKey(ip)];
+
+// Returns the number of seconds the caller must wait, or 0 when a login
+// attempt may proceed.
+const getRetryAfter = async (email, ip) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({ key: { $in: keysFor(email, ip) } });
+
+  const waitUntil = attempts.reduce((latest, attempt) => {
+    const blockedUntil = Math.max(
+      attempt.lockedUntil ? attempt.lockedUntil.getTime() : 0,
+      attempt.nextAttemptAt ? attempt.nextAttemptAt.getTime() : 0
+    );
+    return Math.max(latest, blockedUntil);
+  }, 0);
+
+  return waitUntil > now ? Math.ceil((waitUntil - now) / 1000) : 0;
+};
+
+const recordKeyFailure = async (key, limits, config) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - config.windowMs);
+
+  // Start counting from scratch when the previous failure is outside the window
+  await LoginAttempt.updateOne({ key, lastFailureAt: { $lte: windowStart } }, { failures: 0 });
+
+  // Counting in a single atomic update keeps parallel guesses from all reading
+  // the same count and slipping past the lockout
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $max: { expiresAt: new Date(now.getTime() + Math.max(config.windowMs, config.lockoutMs)) }
+    },
+    { upsert: true, new: true }
+  );
+  const { failures } = attempt;
+
+  // Blocks only ever get longer, whichever concurrent failure writes last
+  let block = null;
+  let lockedOut = false;
+  if (failures >= limits.threshold) {
+    const lockedUntil = new Date(now.getTime() + config.lockoutMs);
+    block = { lockedUntil, expiresAt: lockedUntil };
+    lockedOut = failures === limits.threshold;
+  } else if (failures >= limits.delayAfter) {
+    const delay = Math.min(1000 * 2 ** (failures - limits.delayAfter), config.maxDelayMs);
+    block = { nextAttemptAt: new Date(now.getTime() + delay) };
+  }
+
+  if (block) {
+    await LoginAttempt.updateOne({ key }, { $max: block });
+  }
+
+  return { failures, lockedOut };
+};
+
+// Records a failed attempt for both the account and the IP. `lockedOut` is
+// true only for the failure that triggered a lockout.
+const recordFailure = async (email, ip) => {
+  const config = settings();
+
+  const account = await recordKeyFailure(accountKey(email), config.account, config);
+  const address = await recordKeyFailure(ipKey(ip), config.ip, config);
+
+  return {
+    failures: account.failures,
+    accountLocked: account.lockedOut,
+    ipLocked: address.lockedOut
+  };
+};
+
+// Successful logins reset the account counter. The IP counter is left alone so
+// an attacker cannot clear it by logging into an account of their own.
+const clearFailures = async (email) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+module.exports = {
+  getRetryAfter,
+  recordFailure,
+  clearFailures
+};
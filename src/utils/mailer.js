@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-memory outbox used by the "memory" transport; tests can inspect and
+// clear it through `getOutbox` / `clearOutbox`.
+const outbox = [];
+
+// Links in emails end in a verification, reset or invitation token; the
+// console driver hides those so logs cannot be used to take over accounts
+const redactTokens = (text = '') => text.replace(/(https?:\/\/\S*\/)[A-Za-z0-9_-]{16,}/g, '$1[redacted]');
+
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${redactTokens(message.text)}`);
+    }
+  }),
+  memory: () => ({
+    send: async (message) => {
+      outbox.push(message);
+    }
+  }),
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const filename = `${message.date.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+      }
+    };
+  }
+};
+
+let activeTransport;
+
+// Production has no useful default: its email must actually be delivered
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'console';
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = defaultTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+// Register an additional driver (e.g. SMTP) that can then be selected with
+// MAIL_TRANSPORT. `factory` must return an object with an async `send(message)`.
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+// Replace the active transport directly, mostly useful in tests.
+const setTransport = (transport) => {
+  activeTransport = typeof transport === 'string' ? transports[transport]() : transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'TaskFlow <no-reply@taskflow.local>',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date()
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+const getOutbox = () => outbox;
+
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  registerTransport,
+  setTransport,
+  getOutbox,
+  clearOutbox
+};
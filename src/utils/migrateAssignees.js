@@ -0,0 +1,30 @@
+// One-off migration for tasks created when a task had a single assignee:
+//   npm run migrate:assignees
+// Turns assignedTo into a list holding the former assignee, or an empty list
+// for unassigned tasks.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Mongoose casts the old value to a list on read, so only the raw
+  // collection tells which tasks still hold a single id
+  const result = await Task.collection.updateMany(
+    { assignedTo: { $not: { $type: 'array' } } },
+    [{
+      $set: {
+        assignedTo: { $cond: [{ $ifNull: ['$assignedTo', false] }, ['$assignedTo'], []] }
+      }
+    }]
+  );
+  console.log(`Migrated ${result.modifiedCount} tasks to assignee lists`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
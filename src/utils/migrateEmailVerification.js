@@ -0,0 +1,26 @@
+// One-off migration for accounts created before email verification existed:
+//   npm run migrate:email-verification
+// Marks them as verified, so turning on REQUIRE_EMAIL_VERIFICATION does not
+// lock them out. Accounts registered since then keep their own state.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Mongoose fills in the default on read, so only the raw collection tells
+  // which accounts predate the field
+  const result = await User.collection.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// One-off migration for projects created before per-project roles existed:
+//   npm run migrate:project-roles
+// Turns the project manager into an owner, the flat member ids into editors
+// and attached team ids into editor teams, then drops the manager field.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { DEFAULT_PROJECT_ROLE } = require('../config/projectRoles');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Work on the raw collection, the old documents do not match the schema
+  const projects = await Project.collection.find({ manager: { $exists: true } }).toArray();
+
+  for (const project of projects) {
+    // Plain ids are the old shape; entries with a user or team are already migrated
+    const memberIds = (project.members || []).filter(
+      (entry) => !entry.user && !entry.equals(project.manager)
+    );
+    const teamIds = (project.teams || []).filter((entry) => !entry.team);
+
+    await Project.collection.updateOne(
+      { _id: project._id },
+      {
+        $set: {
+          members: [
+            { user: project.manager, role: 'owner' },
+            ...memberIds.map((user) => ({ user, role: DEFAULT_PROJECT_ROLE }))
+          ],
+          teams: teamIds.map((team) => ({ team, role: DEFAULT_PROJECT_ROLE }))
+        },
+        $unset: { manager: '' }
+      }
+    );
+  }
+  console.log(`Migrated ${projects.length} projects to per-project roles`);
+
+  await Project.syncIndexes();
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+// One-off migration for projects created before workflows could be customised:
+//   npm run migrate:workflows
+// Gives every project without statuses the default todo, in-progress, review
+// and completed workflow, which matches the statuses its tasks already use.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { DEFAULT_STATUSES } = require('../config/workflow');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Mongoose fills in the default on read, so only the raw collection tells
+  // which projects are missing it
+  const result = await Project.collection.updateMany(
+    { statuses: { $exists: false } },
+    { $set: { statuses: DEFAULT_STATUSES } }
+  );
+  console.log(`Migrated ${result.modifiedCount} projects to the default workflow`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// One-off migration for data created before workspaces existed:
+//   npm run migrate:workspaces
+// Gives every user a personal workspace, moves each project without a
+// workspace into its manager's personal workspace (adding the project members
+// to it), and copies the workspace onto the project's tasks and activity.
+// Run it before `npm run migrate:project-roles`: projects are read in their
+// original manager/members shape.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const ActivityLog = require('../models/ActivityLog');
+const { createPersonalWorkspace } = require('./workspaces');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = await User.find({ defaultWorkspace: null });
+  for (const user of users) {
+    await createPersonalWorkspace(user);
+  }
+  console.log(`Created ${users.length} personal workspaces`);
+
+  const projects = await Project.collection.find({ workspace: null }).toArray();
+  for (const project of projects) {
+    const manager = await User.findById(project.manager);
+    const workspaceId = manager.defaultWorkspace;
+
+    await Workspace.updateOne(
+      { _id: workspaceId },
+      { $addToSet: { members: { $each: project.members.filter((id) => !id.equals(manager._id)) } } }
+    );
+    await Project.updateOne({ _id: project._id }, { workspace: workspaceId });
+    await Task.updateMany({ project: project._id }, { workspace: workspaceId });
+    await ActivityLog.updateMany({ project: project._id }, { workspace: workspaceId });
+  }
+  console.log(`Moved ${projects.length} projects into workspaces`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+const Team = require('../models/Team');
+const { PROJECT_ROLES, PROJECT_PERMISSIONS } = require('../config/projectRoles');
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const roleRank = (role) => PROJECT_ROLES.indexOf(role);
+
+/**
+ * The more privileged of two project roles; either may be null.
+ */
+const higherRole = (a, b) => {
+  if (!a) return b || null;
+  if (!b) return a;
+  return roleRank(a) >= roleRank(b) ? a : b;
+};
+
+/**
+ * Whether `role` is at least as privileged as `required`.
+ */
+const roleAtLeast = (role, required) => Boolean(role) && roleRank(role) >= roleRank(required);
+
+/**
+ * Ids of the teams a user belongs to, optionally limited to one workspace.
+ */
+const getUserTeamIds = (userId, workspaceId) => {
+  const query = { members: userId };
+  if (workspaceId) query.workspace = workspaceId;
+  return Team.find(query).distinct('_id');
+};
+
+/**
+ * Query condition matching every project a user has any role in, directly or
+ * through an attached team. Combine it with a workspace filter where needed.
+ */
+const accessibleProjectsFilter = async (userId, workspaceId) => {
+  const teamIds = await getUserTeamIds(userId, workspaceId);
+
+  return {
+    $or: [
+      { 'members.user': userId },
+      { 'teams.team': { $in: teamIds } }
+    ]
+  };
+};
+
+/**
+ * Effective role of a user in a project: the highest of their direct role and
+ * the roles of attached teams they belong to, or null without access. Works
+ * with populated and unpopulated member and team paths.
+ */
+const getProjectRole = async (project, userId) => {
+  const member = project.members.find((entry) => idOf(entry.user).toString() === userId.toString());
+  let role = member ? member.role : null;
+
+  // Nobody outranks an owner, so the teams need not be looked up
+  if (role === 'owner' || !project.teams || project.teams.length === 0) return role;
+
+  const teamIds = await Team.find({
+    _id: { $in: project.teams.map((entry) => idOf(entry.team)) },
+    members: userId
+  }).distinct('_id');
+
+  project.teams
+    .filter((entry) => teamIds.some((id) => id.equals(idOf(entry.team))))
+    .forEach((entry) => {
+      role = higherRole(role, entry.role);
+    });
+
+  return role;
+};
+
+/**
+ * Whether a user may perform an action of the permission matrix in
+ * config/projectRoles on a project. Global admins may do everything.
+ */
+const hasProjectPermission = async (project, user, permission) => {
+  if (user.role === 'admin') return true;
+
+  const role = await getProjectRole(project, user.id);
+  return roleAtLeast(role, PROJECT_PERMISSIONS[permission]);
+};
+
+module.exports = {
+  higherRole,
+  roleAtLeast,
+  getUserTeamIds,
+  accessibleProjectsFilter,
+  getProjectRole,
+  hasProjectPermission
+};
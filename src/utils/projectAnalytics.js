@@ -0,0 +1,211 @@
+const Task = require('../models/Task');
+const ActivityLog = require('../models/ActivityLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Series longer than this would be unreadable and slow to compute
+const MAX_BUCKETS = 366;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Weeks start on Monday, as in ISO 8601
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+const toDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Consecutive periods of a day or a week covering from..to. The state of the
+ * project is measured at the end of each period, or at `to` for the last one.
+ */
+const getBuckets = (from, to, granularity) => {
+  const step = granularity === 'week' ? WEEK_MS : DAY_MS;
+  const first = granularity === 'week' ? startOfWeek(from) : startOfDay(from);
+  const buckets = [];
+
+  for (let start = first.getTime(); start <= to.getTime(); start += step) {
+    buckets.push({
+      date: new Date(start).toISOString().slice(0, 10),
+      at: new Date(Math.min(start + step, to.getTime()))
+    });
+  }
+
+  return buckets;
+};
+
+/**
+ * Status history of every task of a project, oldest first, rebuilt from the
+ * status changes in the activity log. A task starts in the status its create
+ * entry recorded; for tasks created before that was recorded, or copied
+ * without one, the status it left first or else its current status.
+ */
+const getStatusHistories = async (project, tasks, until) => {
+  const logs = await ActivityLog.find({
+    project: project._id,
+    entityType: 'task',
+    entityId: { $in: tasks.map((task) => task._id) },
+    action: { $in: ['create', 'update', 'status-change'] },
+    'newValues.status': { $exists: true },
+    createdAt: { $lte: until }
+  })
+    .select('entityId action oldValues.status newValues.status createdAt')
+    .sort('createdAt')
+    .lean();
+
+  const histories = new Map(tasks.map((task) => [task._id.toString(), { initial: null, changes: [] }]));
+
+  logs.forEach((log) => {
+    const history = histories.get(log.entityId.toString());
+    const from = log.oldValues && log.oldValues.status;
+    const to = log.newValues.status;
+
+    if (log.action === 'create') {
+      history.initial = to;
+    } else if (from && from !== to) {
+      if (!history.initial && history.changes.length === 0) history.initial = from;
+      history.changes.push({ at: log.createdAt, status: to });
+    }
+  });
+
+  return new Map(tasks.map((task) => {
+    const { initial, changes } = histories.get(task._id.toString());
+    return [
+      task._id.toString(),
+      [{ at: task.createdAt, status: initial || task.status }, ...changes]
+    ];
+  }));
+};
+
+// Status of a task at a moment, or null if it did not exist yet
+const statusAt = (history, at) => {
+  let status = null;
+  for (const entry of history) {
+    if (entry.at > at) break;
+    status = entry.status;
+  }
+  return status;
+};
+
+/**
+ * Burndown, burnup, cumulative flow, lead and cycle time, weekly throughput
+ * and overdue counts of a project between two dates. Statuses count as
+ * started or finished by their workflow category.
+ */
+const getProjectAnalytics = async (project, { from, to, granularity }) => {
+  const tasks = await Task.find({ project: project._id })
+    .select('status createdAt dueDate storyPoints')
+    .lean();
+  const histories = await getStatusHistories(project, tasks, to);
+
+  const categoryOf = (status) => {
+    const definition = project.getStatus(status);
+    return definition ? definition.category : null;
+  };
+
+  const buckets = getBuckets(from, to, granularity);
+  const cumulativeFlow = [];
+  const burndown = [];
+  const burnup = [];
+
+  buckets.forEach(({ date, at }) => {
+    const counts = Object.fromEntries(project.statuses.map((status) => [status.key, 0]));
+    const point = { scope: 0, completed: 0, scopePoints: 0, completedPoints: 0, overdue: 0 };
+
+    tasks.forEach((task) => {
+      const status = statusAt(histories.get(task._id.toString()), at);
+      if (!status) return;
+
+      const done = categoryOf(status) === 'done';
+      counts[status] = (counts[status] || 0) + 1;
+      point.scope += 1;
+      point.scopePoints += task.storyPoints || 0;
+
+      if (done) {
+        point.completed += 1;
+        point.completedPoints += task.storyPoints || 0;
+      } else if (task.dueDate && task.dueDate < at) {
+        point.overdue += 1;
+      }
+    });
+
+    cumulativeFlow.push({ date, counts });
+    burndown.push({
+      date,
+      remaining: point.scope - point.completed,
+      remainingPoints: point.scopePoints - point.completedPoints,
+      overdue: point.overdue
+    });
+    burnup.push({
+      date,
+      scope: point.scope,
+      completed: point.completed,
+      scopePoints: point.scopePoints,
+      completedPoints: point.completedPoints
+    });
+  });
+
+  // Lead time runs from creation and cycle time from the first active status
+  // to the last move into a done status, for tasks finished in the range
+  const leadTimes = [];
+  const cycleTimes = [];
+  const finishedAt = [];
+
+  tasks.forEach((task) => {
+    const history = histories.get(task._id.toString());
+    const last = history[history.length - 1];
+    if (categoryOf(last.status) !== 'done' || last.at < from || last.at > to) return;
+
+    const started = history.find((entry) => categoryOf(entry.status) === 'active');
+    leadTimes.push(last.at - task.createdAt);
+    if (started) cycleTimes.push(last.at - started.at);
+    finishedAt.push(last.at);
+  });
+
+  const average = (durations) => ({
+    averageDays: durations.length
+      ? toDays(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+      : null,
+    tasks: durations.length
+  });
+
+  const throughput = getBuckets(from, to, 'week').map(({ date }) => {
+    const start = new Date(date);
+    const end = new Date(start.getTime() + WEEK_MS);
+    return {
+      week: date,
+      completed: finishedAt.filter((at) => at >= start && at < end).length
+    };
+  });
+
+  const now = new Date();
+  const overdue = tasks.filter((task) =>
+    task.dueDate && task.dueDate < now && categoryOf(task.status) !== 'done');
+
+  return {
+    range: { from, to, granularity },
+    burndown,
+    burnup,
+    cumulativeFlow,
+    leadTime: average(leadTimes),
+    cycleTime: average(cycleTimes),
+    throughput,
+    overdue: {
+      tasks: overdue.length,
+      points: overdue.reduce((sum, task) => sum + (task.storyPoints || 0), 0)
+    }
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  MAX_BUCKETS,
+  getProjectAnalytics
+};
@@ -0,0 +1,93 @@
+const Task = require('../models/Task');
+const { copyCustomFieldValues } = require('./customFields');
+const { RANK_STEP } = require('./taskRanks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Due dates of copied tasks are kept relative to this date of the source
+const getStartAnchor = (project) => project.startDate || project.createdAt;
+
+/**
+ * The parts of a task of the source project that carry over into a copy.
+ * Status, comments, time spent and checked-off items start fresh; the due
+ * date becomes an offset from the project start. Custom field values pointing
+ * at people follow the assignee option.
+ */
+const toTaskBlueprint = (task, source, options = {}) => {
+  const { includeTags = true, includeDueDates = true, includeAssignees = false } = options;
+  const anchor = getStartAnchor(source);
+
+  return {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    estimatedHours: task.estimatedHours,
+    storyPoints: task.storyPoints,
+    tags: includeTags ? task.tags : [],
+    assignedTo: includeAssignees ? task.assignedTo : undefined,
+    customFields: copyCustomFieldValues(source, task.customFields, includeAssignees),
+    checklist: task.checklist.map((item) => item.text),
+    dueOffsetMs: includeDueDates && task.dueDate ? task.dueDate.getTime() - anchor.getTime() : null
+  };
+};
+
+/**
+ * Blueprints of all tasks of the source project, keeping subtasks under their
+ * parent through `parentIndex`, the position of the parent in the list.
+ */
+const toTaskBlueprints = (tasks, source, options = {}) => {
+  const indexes = new Map(tasks.map((task, index) => [task._id.toString(), index]));
+
+  return tasks.map((task) => ({
+    ...toTaskBlueprint(task, source, options),
+    parentIndex: task.parent && indexes.has(task.parent.toString()) ? indexes.get(task.parent.toString()) : null
+  }));
+};
+
+/**
+ * Creates the tasks described by blueprints in a project, placing due dates
+ * relative to startDate. New tasks start in the first status of the project,
+ * in blueprint order, and subtasks are linked to their parents afterwards.
+ */
+const createTasksFromBlueprints = async (project, blueprints, userId, startDate) => {
+  if (blueprints.length === 0) return [];
+
+  const tasks = await Task.insertMany(blueprints.map((blueprint, index) => ({
+    title: blueprint.title,
+    description: blueprint.description,
+    priority: blueprint.priority,
+    estimatedHours: blueprint.estimatedHours,
+    storyPoints: blueprint.storyPoints,
+    tags: blueprint.tags,
+    assignedTo: blueprint.assignedTo,
+    customFields: blueprint.customFields,
+    checklist: (blueprint.checklist || []).map((text) => ({ text })),
+    dueDate: blueprint.dueOffsetMs == null ? undefined : new Date(startDate.getTime() + blueprint.dueOffsetMs),
+    status: project.getInitialStatus(),
+    rank: (index + 1) * RANK_STEP,
+    project: project._id,
+    workspace: project.workspace,
+    createdBy: userId
+  })));
+
+  const subtaskLinks = blueprints
+    .map((blueprint, index) => ({ blueprint, task: tasks[index] }))
+    .filter(({ blueprint }) => blueprint.parentIndex != null && tasks[blueprint.parentIndex])
+    .map(({ blueprint, task }) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { parent: tasks[blueprint.parentIndex]._id }
+      }
+    }));
+
+  if (subtaskLinks.length) await Task.bulkWrite(subtaskLinks);
+
+  return tasks;
+};
+
+module.exports = {
+  DAY_MS,
+  getStartAnchor,
+  toTaskBlueprints,
+  createTasksFromBlueprints
+};
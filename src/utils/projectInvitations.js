@@ -0,0 +1,67 @@
+const ProjectInvitation = require('../models/ProjectInvitation');
+const Project = require('../models/Project');
+const Workspace = require('../models/Workspace');
+const { hashToken } = require('./sessions');
+const { higherRole } = require('./projectAccess');
+const { logActivity } = require('./activityLogger');
+
+// Returns the invitation for a raw token while it can still be answered
+const findPendingInvitation = async (token) => {
+  const invitation = await ProjectInvitation.findOne({ tokenHash: hashToken(token) });
+  return invitation && invitation.isPending() ? invitation : null;
+};
+
+// Members of an archived project cannot change, so its invitations cannot be
+// accepted until it is unarchived
+const isInvitationProjectArchived = async (invitation) =>
+  Boolean(await Project.exists({ _id: invitation.project, archivedAt: { $ne: null } }));
+
+// Adds the user to the invited project, and to its workspace when needed.
+// The invitation is claimed atomically so a token can only be used once.
+// Returns the project, or null when the invitation was already answered or
+// the project no longer exists, is in the trash or is archived.
+const joinProjectByInvitation = async (invitation, user) => {
+  const project = await Project.findOne({ _id: invitation.project, deletedAt: null, archivedAt: null });
+  if (!project) return null;
+
+  const claimed = await ProjectInvitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, declinedAt: null, revokedAt: null },
+    { acceptedAt: new Date(), acceptedBy: user._id },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  await Workspace.updateOne(
+    { _id: project.workspace, owners: { $ne: user._id } },
+    { $addToSet: { members: user._id } }
+  );
+
+  // Existing members keep their role when it is higher than the invited one
+  let member = project.getMember(user._id);
+  if (member) {
+    member.role = higherRole(member.role, claimed.role);
+  } else {
+    project.members.push({ user: user._id, role: claimed.role });
+    member = project.getMember(user._id);
+  }
+  await project.save();
+
+  await logActivity({
+    action: 'assign',
+    entityType: 'project',
+    entityId: project._id,
+    description: `Joined project "${project.name}" as ${member.role} by invitation`,
+    newValues: { member: user._id, role: member.role, invitation: claimed._id },
+    user: user._id,
+    project: project._id,
+    workspace: project.workspace
+  });
+
+  return project;
+};
+
+module.exports = {
+  findPendingInvitation,
+  isInvitationProjectArchived,
+  joinProjectByInvitation
+};
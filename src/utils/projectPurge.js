@@ -0,0 +1,99 @@
+const fs = require('fs');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Milestone = require('../models/Milestone');
+const Sprint = require('../models/Sprint');
+const TaskSeries = require('../models/TaskSeries');
+const TimeEntry = require('../models/TimeEntry');
+const ActivityLog = require('../models/ActivityLog');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const { getCommentAttachmentDir } = require('../middlewares/upload');
+const { logActivity } = require('./activityLogger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getRetentionMs = () => Number(process.env.PROJECT_RETENTION_DAYS || 30) * DAY_MS;
+
+// When a project in the trash will be purged
+const getPurgeDate = (project) => new Date(project.deletedAt.getTime() + getRetentionMs());
+
+/**
+ * Permanently deletes a project with its tasks, their comments and uploaded
+ * attachments, its milestones, sprints, recurring task series, time entries,
+ * activity log and invitations, and unlinks tasks elsewhere that its tasks
+ * blocked. A single activity entry on the workspace records the purge.
+ */
+const purgeProject = async (project) => {
+  const taskIds = await Task.find({ project: project._id }).distinct('_id');
+  const commentIds = await Comment.find({ task: { $in: taskIds } }).distinct('_id');
+
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await Task.deleteMany({ project: project._id });
+  await Task.updateMany({ blockedBy: { $in: taskIds } }, { $pull: { blockedBy: { $in: taskIds } } });
+  await Milestone.deleteMany({ project: project._id });
+  await Sprint.deleteMany({ project: project._id });
+  await TaskSeries.deleteMany({ project: project._id });
+  await TimeEntry.deleteMany({ project: project._id });
+  await ActivityLog.deleteMany({ project: project._id });
+  await ProjectInvitation.deleteMany({ project: project._id });
+  await Project.deleteOne({ _id: project._id });
+
+  // Only the server's own attachment directories are removed, never files
+  // named by attachment URLs; they may already be gone
+  await Promise.all(commentIds.map((commentId) =>
+    fs.promises.rm(getCommentAttachmentDir(commentId), { recursive: true, force: true }).catch(() => {})));
+
+  await logActivity({
+    action: 'delete',
+    entityType: 'project',
+    entityId: project._id,
+    description: `Permanently deleted project "${project.name}"`,
+    user: project.deletedBy,
+    workspace: project.workspace
+  });
+};
+
+/**
+ * Purges every project that has been in the trash longer than
+ * PROJECT_RETENTION_DAYS. Returns the number of purged projects.
+ */
+const purgeExpiredProjects = async () => {
+  const projects = await Project.find({
+    deletedAt: { $ne: null, $lte: new Date(Date.now() - getRetentionMs()) }
+  });
+
+  for (const project of projects) {
+    await purgeProject(project);
+  }
+
+  return projects.length;
+};
+
+/**
+ * Runs purgeExpiredProjects every PROJECT_PURGE_INTERVAL_MINUTES (default 60,
+ * 0 disables it) for the lifetime of the process.
+ */
+const startProjectPurgeJob = () => {
+  const minutes = Number(process.env.PROJECT_PURGE_INTERVAL_MINUTES || 60);
+  if (!minutes) return null;
+
+  const timer = setInterval(() => {
+    purgeExpiredProjects()
+      .then((count) => {
+        if (count) console.log(`Purged ${count} deleted projects`);
+      })
+      .catch((error) => console.error('Project purge failed:', error));
+  }, minutes * 60 * 1000);
+
+  // Do not keep the process alive just for the purge job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getPurgeDate,
+  purgeProject,
+  purgeExpiredProjects,
+  startProjectPurgeJob
+};
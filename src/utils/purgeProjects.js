@@ -0,0 +1,20 @@
+// Purges projects whose trash retention period has passed, for running from
+// cron instead of (or in addition to) the job inside the server:
+//   npm run purge:projects
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeExpiredProjects } = require('./projectPurge');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const count = await purgeExpiredProjects();
+  console.log(`Purged ${count} deleted projects`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,330 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const TaskSeries = require('../models/TaskSeries');
+const { logActivity } = require('./activityLogger');
+const { getProjectRole } = require('./projectAccess');
+const { copyCustomFieldValues } = require('./customFields');
+const { getEndRank } = require('./taskRanks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// Fields of a task that its later occurrences start with
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'parent',
+  'assignedTo',
+  'watchers',
+  'priority',
+  'tags',
+  'estimatedHours',
+  'storyPoints',
+  'customFields'
+];
+
+// UNTIL takes a date (20260131) or a UTC date-time (20260131T170000Z)
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return undefined;
+
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * The supported subset of RFC 5545 recurrence rules: FREQ (DAILY, WEEKLY or
+ * MONTHLY), INTERVAL, BYDAY for weekly rules, a single BYMONTHDAY for monthly
+ * rules, and COUNT or UNTIL. Returns { error } or { rule }.
+ */
+const parseRRule = (text) => {
+  const rule = {};
+
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = RRULE_FREQUENCIES[value.toUpperCase()];
+        if (!rule.frequency) return { error: `Unsupported RRULE frequency "${value}"` };
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.weekdays = value.toUpperCase().split(',').map((day) => RRULE_WEEKDAYS.indexOf(day));
+        if (rule.weekdays.includes(-1)) return { error: `Invalid RRULE BYDAY "${value}"` };
+        break;
+      case 'BYMONTHDAY':
+        rule.monthDay = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = parseRRuleDate(value);
+        if (!rule.until) return { error: `Invalid RRULE UNTIL "${value}"` };
+        break;
+      default:
+        return { error: `Unsupported RRULE part "${key}"` };
+    }
+  }
+
+  if (!rule.frequency) return { error: 'RRULE needs a FREQ' };
+  return { rule };
+};
+
+/**
+ * Turns a recurrence given as fields or as an `rrule` string into the stored
+ * rule, checking that its parts fit together. Returns { error } or { rule }.
+ */
+const toRecurrenceRule = (input) => {
+  let rule = { ...input };
+
+  if (input.rrule) {
+    const parsed = parseRRule(input.rrule);
+    if (parsed.error) return parsed;
+    rule = parsed.rule;
+  }
+
+  const { frequency, interval = 1, weekdays, monthDay, until, count } = rule;
+
+  if (!Number.isInteger(interval) || interval < 1) return { error: 'The interval must be a positive whole number' };
+  if (weekdays && frequency !== 'weekly') return { error: 'Weekdays only apply to weekly recurrence' };
+  if (monthDay !== undefined && frequency !== 'monthly') return { error: 'A day of the month only applies to monthly recurrence' };
+  if (monthDay !== undefined && !(Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31)) {
+    return { error: 'The day of the month must be between 1 and 31' };
+  }
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1)) return { error: 'The count must be a positive whole number' };
+  if (until && count) return { error: 'A recurrence ends either on a date or after a count, not both' };
+
+  return {
+    rule: {
+      frequency,
+      interval,
+      weekdays: weekdays ? [...new Set(weekdays)].sort() : undefined,
+      monthDay,
+      until: until ? new Date(until) : undefined,
+      count
+    }
+  };
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Weeks start on Monday, as in RFC 5545
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+const monthsBetween = (from, to) =>
+  (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+
+/**
+ * First due date of a rule after `after`, keeping the time of day of the
+ * anchor, or null once the rule has run past its end date. Intervals count
+ * from the anchor, so every other week means every other week since the
+ * first occurrence.
+ */
+const getNextDueDate = (rule, anchor, after) => {
+  const timeOfDay = anchor.getTime() - startOfDay(anchor).getTime();
+  const interval = rule.interval || 1;
+  let next = null;
+
+  if (rule.frequency === 'daily') {
+    const steps = Math.floor((after - anchor) / (interval * DAY_MS)) + 1;
+    next = new Date(anchor.getTime() + Math.max(steps, 1) * interval * DAY_MS);
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [anchor.getUTCDay()];
+    const firstWeek = startOfWeek(anchor).getTime();
+
+    for (let day = 0; day <= 7 * (interval + 1) && !next; day += 1) {
+      const candidate = new Date(startOfDay(after).getTime() + day * DAY_MS + timeOfDay);
+      const weeks = Math.round((startOfWeek(candidate).getTime() - firstWeek) / (7 * DAY_MS));
+
+      if (candidate > after && weekdays.includes(candidate.getUTCDay()) && weeks % interval === 0) {
+        next = candidate;
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    const monthDay = rule.monthDay || anchor.getUTCDate();
+
+    for (let month = 0; month <= interval + 1 && !next; month += 1) {
+      const year = after.getUTCFullYear();
+      const index = after.getUTCMonth() + month;
+      const lastDay = new Date(Date.UTC(year, index + 1, 0)).getUTCDate();
+      const candidate = new Date(Date.UTC(year, index, Math.min(monthDay, lastDay)) + timeOfDay);
+
+      if (candidate > after && monthsBetween(anchor, candidate) % interval === 0) {
+        next = candidate;
+      }
+    }
+  }
+
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// The template of a series taken from one of its tasks, populated or not
+const toSeriesTemplate = (task) => {
+  const source = task.toObject();
+  const template = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    const value = source[field];
+    if (value === undefined) return;
+    template[field] = Array.isArray(value) && ['assignedTo', 'watchers'].includes(field)
+      ? value.map(idOf)
+      : idOf(value);
+  });
+  template.checklist = source.checklist.map((item) => item.text);
+  return template;
+};
+
+/**
+ * Creates the occurrence of a series that follows its latest one, due on the
+ * next date of its rule, and ends the series when the rule has no more dates.
+ * Occurrences start in the first status of the project, outside sprints and
+ * milestones, and only keep people who are still project members. Nothing is
+ * created while the project is archived or in the trash. Returns the new task
+ * or null.
+ */
+const createNextOccurrence = async (series) => {
+  if (series.endedAt) return null;
+
+  const project = await Project.findById(series.project);
+  if (!project || project.deletedAt || project.archivedAt) return null;
+
+  const dueDate = series.rule.count && series.occurrences >= series.rule.count
+    ? null
+    : getNextDueDate(series.rule, series.anchor, series.lastDueDate);
+
+  if (!dueDate) {
+    await TaskSeries.updateOne({ _id: series._id, endedAt: null }, { endedAt: new Date() });
+    return null;
+  }
+
+  // Claiming the occurrence first keeps concurrent triggers from creating it twice
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, occurrences: series.occurrences, endedAt: null },
+    { $inc: { occurrences: 1 }, lastDueDate: dueDate },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { template } = claimed;
+  const members = async (userIds = []) => {
+    const kept = [];
+    for (const userId of userIds) {
+      if (await getProjectRole(project, userId)) kept.push(userId);
+    }
+    return kept;
+  };
+  const status = project.getInitialStatus();
+
+  const task = await Task.create({
+    title: template.title,
+    description: template.description,
+    parent: template.parent && (await Task.exists({ _id: template.parent, project: project._id }))
+      ? template.parent
+      : null,
+    assignedTo: await members(template.assignedTo),
+    watchers: await members(template.watchers),
+    priority: template.priority,
+    tags: template.tags,
+    estimatedHours: template.estimatedHours,
+    storyPoints: template.storyPoints,
+    customFields: copyCustomFieldValues(project, template.customFields, true),
+    checklist: (template.checklist || []).map((text) => ({ text })),
+    dueDate,
+    status,
+    rank: await getEndRank(project._id, status),
+    series: claimed._id,
+    occurrence: claimed.occurrences,
+    project: project._id,
+    workspace: project.workspace,
+    createdBy: claimed.createdBy
+  });
+
+  await logActivity({
+    action: 'create',
+    entityType: 'task',
+    entityId: task._id,
+    description: `Created occurrence ${task.occurrence} of recurring task "${task.title}"`,
+    newValues: { status: task.status },
+    user: claimed.createdBy,
+    project: project._id,
+    workspace: project.workspace
+  });
+
+  return task;
+};
+
+/**
+ * Moves a series on when its latest occurrence is finished early, instead
+ * of waiting for that occurrence to fall due.
+ */
+const advanceSeries = async (task) => {
+  if (!task.series) return null;
+
+  const series = await TaskSeries.findById(task.series);
+  if (!series || series.occurrences !== task.occurrence) return null;
+
+  return createNextOccurrence(series);
+};
+
+/**
+ * Creates the next occurrence of every running series whose latest one has
+ * fallen due. Returns the number of created tasks.
+ */
+const createDueOccurrences = async () => {
+  const due = await TaskSeries.find({ endedAt: null, lastDueDate: { $lte: new Date() } });
+  let created = 0;
+
+  for (const series of due) {
+    if (await createNextOccurrence(series)) created += 1;
+  }
+
+  return created;
+};
+
+/**
+ * Runs createDueOccurrences every RECURRENCE_INTERVAL_MINUTES (default 15,
+ * 0 disables it) for the lifetime of the process.
+ */
+const startRecurrenceJob = () => {
+  const minutes = Number(process.env.RECURRENCE_INTERVAL_MINUTES || 15);
+  if (!minutes) return null;
+
+  const timer = setInterval(() => {
+    createDueOccurrences()
+      .then((count) => {
+        if (count) console.log(`Created ${count} recurring task occurrences`);
+      })
+      .catch((error) => console.error('Recurring task job failed:', error));
+  }, minutes * 60 * 1000);
+
+  // Do not keep the process alive just for the recurrence job
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  toRecurrenceRule,
+  getNextDueDate,
+  toSeriesTemplate,
+  createNextOccurrence,
+  advanceSeries,
+  createDueOccurrences,
+  startRecurrenceJob
+};
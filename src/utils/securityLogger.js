@@ -0,0 +1,20 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+// `user` is the account the event is about; `actor` defaults to the signed-in
+// user when it differs (e.g. an admin deactivating someone).
+const logSecurityEvent = async (req, data) => {
+  try {
+    const actor = req.user ? req.user._id : undefined;
+
+    await SecurityEvent.create({
+      actor: actor && (!data.user || actor.toString() !== data.user.toString()) ? actor : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      ...data
+    });
+  } catch (error) {
+    console.error('Security event logging failed:', error);
+  }
+};
+
+module.exports = { logSecurityEvent };
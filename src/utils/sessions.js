@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const generateToken = require('./generateToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so a presented token can be traced
+// back to its session even after it has been rotated out.
+const buildTokens = (session, secret) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`
+});
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return buildTokens(session, secret);
+};
+
+// How many rotated-out secrets a session remembers for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Returns `{ session, tokens }`, or null when the refresh token is unknown,
+// expired or revoked. Presenting an already-rotated token is treated as theft:
+// the whole session is revoked and `{ reuseDetected: true, session }` returned.
+// Any other secret is just rejected, since session ids are not secret.
+// Rotation keeps the session's expiry, so a session ends at the latest
+// REFRESH_TOKEN_EXPIRE_DAYS after login however often it is refreshed.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        lastUsedAt: new Date()
+      },
+      $push: {
+        previousTokenHashes: { $each: [hashToken(parsed.secret)], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, tokens: buildTokens(session, secret) };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      previousTokenHashes: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+  );
+
+  return reused ? { reuseDetected: true, session: reused } : null;
+};
+
+const revokeSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSessions
+};
@@ -0,0 +1,118 @@
+const Task = require('../models/Task');
+
+// Levels of subtasks allowed below a top-level task
+const getMaxSubtaskDepth = () => Number(process.env.SUBTASK_MAX_DEPTH || 3);
+
+// Number of ancestors of a task
+const getTaskDepth = async (task) => {
+  let depth = 0;
+  let parentId = task.parent;
+
+  while (parentId) {
+    depth += 1;
+    const parent = await Task.findById(parentId).select('parent');
+    parentId = parent ? parent.parent : null;
+  }
+
+  return depth;
+};
+
+/**
+ * Subtasks below a task, one array per level: its direct subtasks first,
+ * then theirs, and so on.
+ */
+const getSubtaskLevels = async (taskId, select = 'parent') => {
+  const levels = [];
+  let level = await Task.find({ parent: taskId }).select(select);
+
+  while (level.length) {
+    levels.push(level);
+    level = await Task.find({ parent: { $in: level.map((subtask) => subtask._id) } }).select(select);
+  }
+
+  return levels;
+};
+
+/**
+ * Checks that a task can become a subtask of parentId in a project: the
+ * parent must be in the same project, must not be the task or one of its
+ * subtasks, and the task with its own subtasks must fit within the maximum
+ * depth. Leave out the task for one that does not exist yet.
+ * Returns { error } or {}.
+ */
+const checkSubtaskParent = async (parentId, project, task = null) => {
+  const parent = await Task.findOne({ _id: parentId, project: project._id }).select('parent');
+  if (!parent) return { error: 'Parent task does not belong to this project' };
+
+  let height = 0;
+  if (task) {
+    const levels = await getSubtaskLevels(task._id);
+    const descendants = levels.flat();
+    if (parent._id.equals(task._id) || descendants.some((subtask) => subtask._id.equals(parent._id))) {
+      return { error: 'A task cannot be a subtask of itself or of its own subtasks' };
+    }
+    height = levels.length;
+  }
+
+  const maxDepth = getMaxSubtaskDepth();
+  if ((await getTaskDepth(parent)) + 1 + height > maxDepth) {
+    return { error: `Subtasks can be nested at most ${maxDepth} levels deep` };
+  }
+
+  return {};
+};
+
+/**
+ * Completion of a task rolled up from its subtasks and checklist. Each direct
+ * subtask and each checklist item weighs the same; a subtask in a done status
+ * counts as complete, otherwise by its own subtasks and checklist. A task in
+ * a done status is complete whatever its parts.
+ */
+const getTaskProgress = async (task, project) => {
+  const doneStatuses = project.getStatusKeys('done');
+  const levels = await getSubtaskLevels(task._id, 'parent status checklist');
+  const fractions = new Map();
+  const children = new Map();
+
+  levels.flat().forEach((subtask) => {
+    const key = subtask.parent.toString();
+    children.set(key, [...(children.get(key) || []), subtask]);
+  });
+
+  const fractionOf = (item) => {
+    if (doneStatuses.includes(item.status)) return 1;
+
+    const parts = [
+      ...(children.get(item._id.toString()) || []).map((subtask) => fractions.get(subtask._id.toString())),
+      ...item.checklist.map((checklistItem) => (checklistItem.done ? 1 : 0))
+    ];
+
+    return parts.length ? parts.reduce((sum, part) => sum + part, 0) / parts.length : 0;
+  };
+
+  // Deepest subtasks first, so every fraction is known before its parent's
+  [...levels].reverse().forEach((level) => {
+    level.forEach((subtask) => fractions.set(subtask._id.toString(), fractionOf(subtask)));
+  });
+
+  const subtasks = levels.length ? levels[0] : [];
+
+  return {
+    subtasks: {
+      total: subtasks.length,
+      completed: subtasks.filter((subtask) => doneStatuses.includes(subtask.status)).length
+    },
+    checklist: {
+      total: task.checklist.length,
+      completed: task.checklist.filter((item) => item.done).length
+    },
+    percent: Math.round(fractionOf(task) * 100)
+  };
+};
+
+module.exports = {
+  getMaxSubtaskDepth,
+  getSubtaskLevels,
+  checkSubtaskParent,
+  getTaskProgress
+};
@@ -0,0 +1,118 @@
+const Task = require('../models/Task');
+
+// Whether a task with a populated project is in one of its done statuses
+const isTaskDone = (task) => task.project.getStatusKeys('done').includes(task.status);
+
+/**
+ * Whether making a task blocked by blockerId would close a loop, that is
+ * whether the blocker already waits on the task through a chain of blockers.
+ */
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const seen = new Set();
+  let frontier = [blockerId];
+
+  while (frontier.length) {
+    if (frontier.some((id) => id.toString() === target)) return true;
+    frontier.forEach((id) => seen.add(id.toString()));
+
+    const blockers = await Task.find({ _id: { $in: frontier } }).distinct('blockedBy');
+    frontier = blockers.filter((id) => !seen.has(id.toString()));
+  }
+
+  return false;
+};
+
+// Blockers of a task, in any project, that are not done yet
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } })
+    .select('title status project')
+    .populate('project', 'name statuses');
+
+  return blockers.filter((blocker) => !blocker.project || !isTaskDone(blocker));
+};
+
+/**
+ * Longest chain of open tasks of a project through their dependencies within
+ * it, weighing each task by its estimated hours. Done tasks and blockers in
+ * other projects take no time and are left out. Returns the chain in order
+ * with the earliest start and finish of each task, in hours of work from now.
+ */
+const getCriticalPath = async (project) => {
+  const doneStatuses = project.getStatusKeys('done');
+  const tasks = await Task.find({ project: project._id, status: { $nin: doneStatuses } })
+    .select('title status estimatedHours blockedBy assignedTo dueDate')
+    .populate('assignedTo', 'name email');
+
+  const byId = new Map(tasks.map((task) => [task._id.toString(), task]));
+  const blockersOf = (task) => task.blockedBy
+    .map((id) => id.toString())
+    .filter((id) => byId.has(id));
+
+  // Kahn's algorithm: a task is scheduled once all its blockers are
+  const waiting = new Map(tasks.map((task) => [task._id.toString(), blockersOf(task).length]));
+  const dependents = new Map();
+  tasks.forEach((task) => {
+    blockersOf(task).forEach((id) => dependents.set(id, [...(dependents.get(id) || []), task._id.toString()]));
+  });
+
+  const finish = new Map();
+  const previous = new Map();
+  let ready = tasks.filter((task) => waiting.get(task._id.toString()) === 0).map((task) => task._id.toString());
+
+  while (ready.length) {
+    const next = [];
+
+    ready.forEach((id) => {
+      const task = byId.get(id);
+      // The task starts when its last blocker finishes
+      const critical = blockersOf(task).reduce((latest, blockerId) =>
+        (latest === null || finish.get(blockerId) > finish.get(latest) ? blockerId : latest), null);
+      if (critical) previous.set(id, critical);
+      finish.set(id, (critical ? finish.get(critical) : 0) + (task.estimatedHours || 0));
+
+      (dependents.get(id) || []).forEach((dependentId) => {
+        waiting.set(dependentId, waiting.get(dependentId) - 1);
+        if (waiting.get(dependentId) === 0) next.push(dependentId);
+      });
+    });
+
+    ready = next;
+  }
+
+  let last = null;
+  finish.forEach((hours, id) => {
+    if (last === null || hours > finish.get(last)) last = id;
+  });
+
+  const path = [];
+  for (let id = last; id; id = previous.get(id)) {
+    const task = byId.get(id);
+    const earliestFinish = finish.get(id);
+    path.unshift({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      assignedTo: task.assignedTo,
+      dueDate: task.dueDate,
+      estimatedHours: task.estimatedHours || 0,
+      earliestStart: earliestFinish - (task.estimatedHours || 0),
+      earliestFinish
+    });
+  }
+
+  return {
+    tasks: path,
+    totalHours: last === null ? 0 : finish.get(last),
+    unestimatedTasks: path.filter((task) => !task.estimatedHours).length
+  };
+};
+
+module.exports = {
+  isTaskDone,
+  wouldCreateCycle,
+  getOpenBlockers,
+  getCriticalPath
+};
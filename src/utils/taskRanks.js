@@ -0,0 +1,107 @@
+const Task = require('../models/Task');
+
+// Gap left between neighbouring cards, so a card can be placed between two
+// others about ten times before their column needs rebalancing
+const RANK_STEP = 1024;
+
+// Order of the cards in a board column
+const COLUMN_SORT = 'rank createdAt';
+
+/**
+ * Rank that puts a task at the bottom of a status column.
+ */
+const getEndRank = async (projectId, status) => {
+  const last = await Task.findOne({ project: projectId, status, rank: { $ne: null } })
+    .sort('-rank')
+    .select('rank');
+
+  return last ? last.rank + RANK_STEP : RANK_STEP;
+};
+
+/**
+ * Spreads the ranks of a status column evenly in its current order, leaving
+ * out the task being moved. Tasks created before ranks existed end up at the
+ * top in creation order.
+ */
+const rebalanceColumn = async (projectId, status, excludeId) => {
+  const tasks = await Task.find({ project: projectId, status, _id: { $ne: excludeId } })
+    .sort(COLUMN_SORT)
+    .select('_id');
+
+  if (tasks.length === 0) return;
+
+  await Task.bulkWrite(tasks.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { rank: (index + 1) * RANK_STEP }
+    }
+  })));
+};
+
+// The cards directly above and below the drop position; a missing side is
+// looked up from the given one
+const findNeighbours = async (task, status, afterTaskId, beforeTaskId) => {
+  const column = { project: task.project._id || task.project, status, _id: { $ne: task._id } };
+
+  let after = afterTaskId ? await Task.findOne({ ...column, _id: afterTaskId }) : null;
+  let before = beforeTaskId ? await Task.findOne({ ...column, _id: beforeTaskId }) : null;
+
+  if (after && !beforeTaskId) {
+    before = await Task.findOne({ ...column, rank: { $gt: after.rank } }).sort('rank');
+  }
+  if (before && !afterTaskId) {
+    after = await Task.findOne({ ...column, rank: { $lt: before.rank } }).sort('-rank');
+  }
+
+  return { after, before };
+};
+
+/**
+ * Rank that places a task in a status column right below `afterTaskId` and
+ * right above `beforeTaskId`; either may be omitted, and without both the
+ * task goes to the bottom. The column is rebalanced when the neighbours have
+ * no room left between them. Returns { error } or { rank }.
+ */
+const getMoveRank = async (task, status, { afterTaskId, beforeTaskId } = {}) => {
+  const projectId = task.project._id || task.project;
+
+  if ([afterTaskId, beforeTaskId].includes(task._id.toString())) {
+    return { error: 'A task cannot be placed next to itself' };
+  }
+
+  if (!afterTaskId && !beforeTaskId) {
+    return { rank: await getEndRank(projectId, status) };
+  }
+
+  // Ranks are compared below, so unranked cards get one first
+  if (await Task.exists({ project: projectId, status, _id: { $ne: task._id }, rank: null })) {
+    await rebalanceColumn(projectId, status, task._id);
+  }
+
+  let { after, before } = await findNeighbours(task, status, afterTaskId, beforeTaskId);
+
+  if ((afterTaskId && !after) || (beforeTaskId && !before)) {
+    return { error: 'Neighbouring tasks must be in the target column' };
+  }
+
+  if (after && before && before.rank - after.rank < 2) {
+    await rebalanceColumn(projectId, status, task._id);
+    ({ after, before } = await findNeighbours(task, status, afterTaskId, beforeTaskId));
+  }
+
+  if (!before) return { rank: after.rank + RANK_STEP };
+  if (!after) return { rank: before.rank - RANK_STEP };
+
+  if (before.rank <= after.rank) {
+    return { error: 'afterTaskId must be above beforeTaskId in the column' };
+  }
+
+  return { rank: Math.floor((after.rank + before.rank) / 2) };
+};
+
+module.exports = {
+  RANK_STEP,
+  COLUMN_SORT,
+  getEndRank,
+  getMoveRank
+};
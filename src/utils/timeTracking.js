@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const User = require('../models/User');
+const Project = require('../models/Project');
+
+const TIME_REPORT_GROUPS = ['user', 'project', 'week'];
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Recomputes the actual hours of tasks from their finished time entries.
+ */
+const syncActualHours = async (taskIds) => {
+  const ids = [].concat(taskIds).map((id) => new mongoose.Types.ObjectId(id));
+  const totals = await TimeEntry.aggregate([
+    { $match: { task: { $in: ids }, running: false } },
+    { $group: { _id: '$task', minutes: { $sum: '$duration' } } }
+  ]);
+
+  await Task.bulkWrite(ids.map((id) => {
+    const total = totals.find((entry) => entry._id.equals(id));
+    return {
+      updateOne: {
+        filter: { _id: id },
+        update: { actualHours: total ? toHours(total.minutes) : 0 }
+      }
+    };
+  }));
+};
+
+// Monday of the week of a YYYY-MM-DD day, in the same form
+const weekOf = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Hours of finished time entries matching `match`, grouped by any of user,
+ * project and week (starting on Monday, by the start of each entry).
+ * Returns the groups, largest first within each week, and the totals.
+ */
+const getTimeReport = async (match, groupBy) => {
+  // Days are grouped in the database and folded into weeks here, which
+  // works on every MongoDB version
+  const days = await TimeEntry.aggregate([
+    { $match: { ...match, running: false } },
+    {
+      $group: {
+        _id: {
+          user: '$user',
+          project: '$project',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$start' } }
+        },
+        minutes: { $sum: '$duration' },
+        billableMinutes: { $sum: { $cond: ['$billable', '$duration', 0] } },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const groups = new Map();
+  days.forEach(({ _id, minutes, billableMinutes, entries }) => {
+    const keys = {
+      user: _id.user.toString(),
+      project: _id.project.toString(),
+      week: weekOf(_id.day)
+    };
+    const key = groupBy.map((field) => keys[field]).join('|');
+    const group = groups.get(key) || {
+      ...Object.fromEntries(groupBy.map((field) => [field, keys[field]])),
+      minutes: 0,
+      billableMinutes: 0,
+      entries: 0
+    };
+
+    group.minutes += minutes;
+    group.billableMinutes += billableMinutes;
+    group.entries += entries;
+    groups.set(key, group);
+  });
+
+  const rows = [...groups.values()];
+  const [users, projects] = await Promise.all([
+    groupBy.includes('user') ? User.find({ _id: { $in: rows.map((row) => row.user) } }).select('name email') : [],
+    groupBy.includes('project') ? Project.find({ _id: { $in: rows.map((row) => row.project) } }).select('name color') : []
+  ]);
+  const named = (list, id) => list.find((entry) => entry._id.toString() === id) || { _id: id };
+
+  return {
+    groups: rows
+      .sort((a, b) => (a.week || '').localeCompare(b.week || '') || b.minutes - a.minutes)
+      .map(({ minutes, billableMinutes, entries, ...keys }) => ({
+        ...keys,
+        ...(keys.user ? { user: named(users, keys.user) } : {}),
+        ...(keys.project ? { project: named(projects, keys.project) } : {}),
+        hours: toHours(minutes),
+        billableHours: toHours(billableMinutes),
+        entries
+      })),
+    total: {
+      hours: toHours(rows.reduce((sum, row) => sum + row.minutes, 0)),
+      billableHours: toHours(rows.reduce((sum, row) => sum + row.billableMinutes, 0)),
+      entries: rows.reduce((sum, row) => sum + row.entries, 0)
+    }
+  };
+};
+
+module.exports = {
+  TIME_REPORT_GROUPS,
+  syncActualHours,
+  getTimeReport
+};
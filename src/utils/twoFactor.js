@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.toLowerCase().replace(/\s/g, '')).digest('hex');
+
+// Roles listed in REQUIRE_TWO_FACTOR_ROLES (e.g. "manager,admin") must enroll
+// in two-factor authentication before they can use project routes.
+const isTwoFactorRequired = (user) => {
+  const roles = (process.env.REQUIRE_TWO_FACTOR_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+  return roles.includes(user.role);
+};
+
+// Returns the plain codes to show once to the user and their hashes to store.
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+// Each login gets a new challenge, which replaces any earlier one of the user
+const generateChallengeToken = async (userId) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: userId }, { twoFactorChallengeId: challengeId });
+
+  return jwt.sign({ id: userId, purpose: CHALLENGE_PURPOSE, jti: challengeId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Marks a verified challenge as used. Returns false when it was already used
+// or replaced, so each challenge yields at most one session.
+const consumeChallenge = async (challenge) => {
+  const result = await User.updateOne(
+    { _id: challenge.id, twoFactorChallengeId: challenge.jti },
+    { $unset: { twoFactorChallengeId: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Checks a TOTP code or, failing that, a recovery code against a user loaded
+// with +twoFactorSecret. Accepted codes are consumed with conditional updates,
+// so concurrent requests cannot use the same one twice: TOTP steps cannot be
+// replayed and recovery codes are removed.
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  generateChallengeToken,
+  verifyChallengeToken,
+  consumeChallenge,
+  consumeSecondFactor
+};
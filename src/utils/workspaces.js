@@ -0,0 +1,20 @@
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+
+// Every user gets a personal workspace, used when a request does not select
+// one explicitly.
+const createPersonalWorkspace = async (user) => {
+  const workspace = await Workspace.create({
+    name: `${user.name}'s workspace`,
+    owners: [user._id],
+    isPersonal: true,
+    createdBy: user._id
+  });
+
+  await User.updateOne({ _id: user._id }, { defaultWorkspace: workspace._id });
+  user.defaultWorkspace = workspace._id;
+
+  return workspace;
+};
+
+module.exports = { createPersonalWorkspace };
@@ -0,0 +1,26 @@
+const path = require('path');
+const { fromUploadUrl, toUploadUrl } = require('../../src/middlewares/upload');
+
+describe('fromUploadUrl', () => {
+  const uploadDir = path.resolve('/app/uploads');
+
+  beforeAll(() => {
+    process.env.UPLOAD_DIR = uploadDir;
+  });
+
+  afterAll(() => {
+    delete process.env.UPLOAD_DIR;
+  });
+
+  it('resolves stored files', () => {
+    expect(fromUploadUrl(toUploadUrl('avatars', 'a.png'))).toBe(path.join(uploadDir, 'avatars', 'a.png'));
+  });
+
+  it('rejects URLs outside the upload directory', () => {
+    expect(fromUploadUrl('/uploads/../uploads_bak/x')).toBeNull();
+    expect(fromUploadUrl('/uploads/../../etc/passwd')).toBeNull();
+    expect(fromUploadUrl('/uploads/')).toBeNull();
+    expect(fromUploadUrl('https://example.com/uploads/a.png')).toBeNull();
+    expect(fromUploadUrl(undefined)).toBeNull();
+  });
+});
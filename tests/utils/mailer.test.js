@@ -0,0 +1,30 @@
+const { sendMail, setTransport, getOutbox, clearOutbox } = require('../../src/utils/mailer');
+
+describe('mailer', () => {
+  afterEach(() => {
+    clearOutbox();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps mail in the memory outbox under test', async () => {
+    await sendMail({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+
+    expect(getOutbox()).toHaveLength(1);
+    expect(getOutbox()[0]).toMatchObject({ to: 'ada@example.com', subject: 'Hello', text: 'Hi' });
+  });
+
+  it('redacts token links in console mail', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    setTransport('console');
+
+    await sendMail({
+      to: 'ada@example.com',
+      subject: 'Reset your password',
+      text: 'Open http://localhost:3000/reset-password/0123456789abcdef0123456789abcdef to continue.'
+    });
+    setTransport('memory');
+
+    expect(log.mock.calls[0][0]).toContain('http://localhost:3000/reset-password/[redacted] to continue.');
+    expect(log.mock.calls[0][0]).not.toContain('0123456789abcdef');
+  });
+});
@@ -0,0 +1,68 @@
+const { toRecurrenceRule, getNextDueDate } = require('../../src/utils/recurrence');
+
+const date = (value) => new Date(value);
+
+describe('toRecurrenceRule', () => {
+  it('fills in the default interval', () => {
+    expect(toRecurrenceRule({ frequency: 'daily' }).rule).toMatchObject({ frequency: 'daily', interval: 1 });
+  });
+
+  it('parses the supported RRULE subset', () => {
+    const { rule } = toRecurrenceRule({ rrule: 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR,MO;COUNT=10' });
+    expect(rule).toMatchObject({ frequency: 'weekly', interval: 2, weekdays: [1, 5], count: 10 });
+  });
+
+  it('parses UNTIL as a date or a UTC date-time', () => {
+    expect(toRecurrenceRule({ rrule: 'FREQ=DAILY;UNTIL=20260131' }).rule.until)
+      .toEqual(date('2026-01-31T23:59:59Z'));
+    expect(toRecurrenceRule({ rrule: 'FREQ=DAILY;UNTIL=20260131T170000Z' }).rule.until)
+      .toEqual(date('2026-01-31T17:00:00Z'));
+  });
+
+  it('rejects rules whose parts do not fit together', () => {
+    expect(toRecurrenceRule({ rrule: 'FREQ=YEARLY' }).error).toMatch(/Unsupported RRULE frequency/);
+    expect(toRecurrenceRule({ rrule: 'FREQ=DAILY;BYHOUR=9' }).error).toMatch(/Unsupported RRULE part/);
+    expect(toRecurrenceRule({ rrule: 'INTERVAL=2' }).error).toBe('RRULE needs a FREQ');
+    expect(toRecurrenceRule({ frequency: 'daily', weekdays: [1] }).error).toMatch(/weekly/);
+    expect(toRecurrenceRule({ frequency: 'weekly', monthDay: 3 }).error).toMatch(/monthly/);
+    expect(toRecurrenceRule({ frequency: 'daily', interval: 0 }).error).toMatch(/interval/);
+    expect(toRecurrenceRule({ frequency: 'daily', until: '2026-01-01', count: 3 }).error).toMatch(/not both/);
+  });
+});
+
+describe('getNextDueDate', () => {
+  it('steps daily rules by their interval from the anchor', () => {
+    const anchor = date('2026-03-02T09:00:00Z');
+    expect(getNextDueDate({ frequency: 'daily' }, anchor, anchor)).toEqual(date('2026-03-03T09:00:00Z'));
+    expect(getNextDueDate({ frequency: 'daily', interval: 3 }, anchor, date('2026-03-06T10:00:00Z')))
+      .toEqual(date('2026-03-08T09:00:00Z'));
+  });
+
+  it('picks the next listed weekday', () => {
+    // 2026-03-02 is a Monday
+    const anchor = date('2026-03-02T09:00:00Z');
+    const rule = { frequency: 'weekly', weekdays: [1, 3] };
+    expect(getNextDueDate(rule, anchor, anchor)).toEqual(date('2026-03-04T09:00:00Z'));
+    expect(getNextDueDate(rule, anchor, date('2026-03-04T09:00:00Z'))).toEqual(date('2026-03-09T09:00:00Z'));
+  });
+
+  it('skips weeks outside the interval', () => {
+    const anchor = date('2026-03-02T09:00:00Z');
+    expect(getNextDueDate({ frequency: 'weekly', interval: 2 }, anchor, anchor))
+      .toEqual(date('2026-03-16T09:00:00Z'));
+  });
+
+  it('clips monthly rules to the last day of shorter months', () => {
+    const anchor = date('2026-01-31T09:00:00Z');
+    const rule = { frequency: 'monthly', monthDay: 31 };
+    expect(getNextDueDate(rule, anchor, anchor)).toEqual(date('2026-02-28T09:00:00Z'));
+    expect(getNextDueDate(rule, anchor, date('2026-02-28T09:00:00Z'))).toEqual(date('2026-03-31T09:00:00Z'));
+  });
+
+  it('returns null past the end date', () => {
+    const anchor = date('2026-03-02T09:00:00Z');
+    const rule = { frequency: 'daily', until: date('2026-03-03T12:00:00Z') };
+    expect(getNextDueDate(rule, anchor, anchor)).toEqual(date('2026-03-03T09:00:00Z'));
+    expect(getNextDueDate(rule, anchor, date('2026-03-03T09:00:00Z'))).toBeNull();
+  });
+});
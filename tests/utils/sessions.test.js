@@ -0,0 +1,82 @@
+// Sessions by id, updated by a stand-in for Session.findOneAndUpdate that
+// understands the filters and updates rotateSession uses
+const mockSessions = new Map();
+
+jest.mock('../../src/models/Session', () => ({
+  findOneAndUpdate: async (filter, update) => {
+    const session = mockSessions.get(filter._id);
+    if (!session || session.revokedAt || session.expiresAt <= filter.expiresAt.$gt) return null;
+    if (filter.refreshTokenHash && session.refreshTokenHash !== filter.refreshTokenHash) return null;
+    if (filter.previousTokenHashes && !session.previousTokenHashes.includes(filter.previousTokenHashes)) return null;
+
+    if (update.$set) {
+      const previous = [...session.previousTokenHashes, ...update.$push.previousTokenHashes.$each];
+      Object.assign(session, update.$set, {
+        previousTokenHashes: previous.slice(update.$push.previousTokenHashes.$slice)
+      });
+    } else {
+      Object.assign(session, update);
+    }
+    return session;
+  }
+}));
+
+const { hashToken, rotateSession } = require('../../src/utils/sessions');
+
+const SESSION_ID = '64b000000000000000000001';
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+const startSession = (secret) => {
+  mockSessions.clear();
+  mockSessions.set(SESSION_ID, {
+    _id: SESSION_ID,
+    user: '64b000000000000000000002',
+    refreshTokenHash: hashToken(secret),
+    previousTokenHashes: [],
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null
+  });
+  return mockSessions.get(SESSION_ID);
+};
+
+describe('rotateSession', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('rotates the secret and keeps the expiry', async () => {
+    const session = startSession('first');
+    const { expiresAt } = session;
+
+    const result = await rotateSession(`${SESSION_ID}.first`, req);
+
+    expect(result.reuseDetected).toBeUndefined();
+    expect(result.tokens.refreshToken).toMatch(new RegExp(`^${SESSION_ID}\\.[a-f0-9]{80}$`));
+    expect(session.refreshTokenHash).not.toBe(hashToken('first'));
+    expect(session.previousTokenHashes).toEqual([hashToken('first')]);
+    expect(session.expiresAt).toBe(expiresAt);
+  });
+
+  it('revokes the session when a rotated-out secret is presented', async () => {
+    const session = startSession('first');
+    await rotateSession(`${SESSION_ID}.first`, req);
+
+    const result = await rotateSession(`${SESSION_ID}.first`, req);
+
+    expect(result).toEqual({ reuseDetected: true, session });
+    expect(session.revokedReason).toBe('reuse-detected');
+  });
+
+  it('rejects an unknown secret without revoking the session', async () => {
+    const session = startSession('first');
+
+    expect(await rotateSession(`${SESSION_ID}.garbage`, req)).toBeNull();
+    expect(session.revokedAt).toBeNull();
+    expect(await rotateSession(`${SESSION_ID}.first`, req)).toHaveProperty('tokens');
+  });
+
+  it('rejects malformed tokens', async () => {
+    expect(await rotateSession('not-a-token', req)).toBeNull();
+    expect(await rotateSession('abc.def', req)).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+// Blockers of each task by id; the Task model is replaced with lookups in it
+const mockBlockedBy = {};
+
+jest.mock('../../src/models/Task', () => ({
+  find: (filter) => ({
+    distinct: async () => filter._id.$in.flatMap((id) => mockBlockedBy[id] || [])
+  })
+}));
+
+const { wouldCreateCycle, isTaskDone } = require('../../src/utils/taskDependencies');
+
+const link = (graph) => {
+  Object.keys(mockBlockedBy).forEach((id) => delete mockBlockedBy[id]);
+  Object.assign(mockBlockedBy, graph);
+};
+
+describe('wouldCreateCycle', () => {
+  it('allows links that do not close a loop', async () => {
+    link({ b: ['c'], c: [] });
+    expect(await wouldCreateCycle('a', 'b')).toBe(false);
+  });
+
+  it('rejects a task blocking itself', async () => {
+    link({});
+    expect(await wouldCreateCycle('a', 'a')).toBe(true);
+  });
+
+  it('finds loops through a chain of blockers', async () => {
+    // c waits on b, b waits on a: a cannot wait on c
+    link({ c: ['b'], b: ['a'] });
+    expect(await wouldCreateCycle('a', 'c')).toBe(true);
+  });
+
+  it('terminates on existing loops elsewhere in the graph', async () => {
+    link({ b: ['c'], c: ['d'], d: ['c'] });
+    expect(await wouldCreateCycle('a', 'b')).toBe(false);
+  });
+});
+
+describe('isTaskDone', () => {
+  it('checks the status against the done statuses of the project', () => {
+    const project = { getStatusKeys: () => ['done', 'shipped'] };
+    expect(isTaskDone({ status: 'shipped', project })).toBe(true);
+    expect(isTaskDone({ status: 'in-progress', project })).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+// A minimal in-memory stand-in for the Task model, covering the queries the
+// rank helpers make
+const mockTasks = [];
+
+const mockMatches = (task, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = task[key];
+  if (condition === null) return value === null;
+  if (typeof condition !== 'object') return value === condition;
+  if ('$ne' in condition) return value !== condition.$ne;
+  if ('$gt' in condition) return value !== null && value > condition.$gt;
+  if ('$lt' in condition) return value !== null && value < condition.$lt;
+  return false;
+});
+
+const mockSorted = (tasks, spec) => {
+  const fields = spec.split(' ').map((field) =>
+    (field.startsWith('-') ? { key: field.slice(1), order: -1 } : { key: field, order: 1 }));
+  return [...tasks].sort((a, b) => {
+    for (const { key, order } of fields) {
+      // Unranked tasks sort first, as null does in MongoDB
+      const left = a[key] === null ? -Infinity : a[key];
+      const right = b[key] === null ? -Infinity : b[key];
+      if (left !== right) return left < right ? -order : order;
+    }
+    return 0;
+  });
+};
+
+jest.mock('../../src/models/Task', () => {
+  const query = (run) => {
+    let sort = '';
+    return {
+      sort(spec) { sort = spec; return this; },
+      select() { return this; },
+      then(resolve, reject) { return Promise.resolve(run(sort)).then(resolve, reject); }
+    };
+  };
+
+  return {
+    find: (filter) => query((sort) => mockSorted(mockTasks.filter((task) => mockMatches(task, filter)), sort)),
+    findOne: (filter) => query((sort) => mockSorted(mockTasks.filter((task) => mockMatches(task, filter)), sort)[0] || null),
+    exists: async (filter) => mockTasks.some((task) => mockMatches(task, filter)),
+    bulkWrite: async (operations) => {
+      operations.forEach(({ updateOne }) => {
+        Object.assign(mockTasks.find((task) => task._id === updateOne.filter._id), updateOne.update);
+      });
+    }
+  };
+});
+
+const { RANK_STEP, getMoveRank } = require('../../src/utils/taskRanks');
+
+const column = (ranks) => {
+  mockTasks.length = 0;
+  ranks.forEach((rank, index) => {
+    mockTasks.push({ _id: `t${index}`, project: 'p1', status: 'todo', rank, createdAt: index });
+  });
+};
+
+const moving = { _id: 'moving', project: 'p1' };
+const rankOf = (id) => mockTasks.find((task) => task._id === id).rank;
+
+describe('getMoveRank', () => {
+  it('puts a task at the bottom without neighbours', async () => {
+    column([RANK_STEP, 2 * RANK_STEP]);
+    expect(await getMoveRank(moving, 'todo')).toEqual({ rank: 3 * RANK_STEP });
+  });
+
+  it('starts an empty column at the first step', async () => {
+    column([]);
+    expect(await getMoveRank(moving, 'todo')).toEqual({ rank: RANK_STEP });
+  });
+
+  it('places a task halfway between its neighbours', async () => {
+    column([1000, 2000]);
+    expect(await getMoveRank(moving, 'todo', { afterTaskId: 't0', beforeTaskId: 't1' })).toEqual({ rank: 1500 });
+  });
+
+  it('looks up the missing neighbour', async () => {
+    column([1000, 2000, 3000]);
+    expect(await getMoveRank(moving, 'todo', { afterTaskId: 't1' })).toEqual({ rank: 2500 });
+    expect(await getMoveRank(moving, 'todo', { beforeTaskId: 't0' })).toEqual({ rank: 1000 - RANK_STEP });
+  });
+
+  it('rebalances the column when neighbours have no room between them', async () => {
+    column([1000, 1001, 5000]);
+    const { rank } = await getMoveRank(moving, 'todo', { afterTaskId: 't0', beforeTaskId: 't1' });
+
+    expect([rankOf('t0'), rankOf('t1'), rankOf('t2')]).toEqual([RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP]);
+    expect(rank).toBe(Math.floor(1.5 * RANK_STEP));
+  });
+
+  it('ranks unranked tasks in creation order before comparing', async () => {
+    column([null, null, 4096]);
+    await getMoveRank(moving, 'todo', { afterTaskId: 't1' });
+
+    expect([rankOf('t0'), rankOf('t1'), rankOf('t2')]).toEqual([RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP]);
+  });
+
+  it('rejects invalid neighbours', async () => {
+    column([1000, 2000]);
+    expect((await getMoveRank(moving, 'todo', { afterTaskId: 'moving' })).error).toMatch(/next to itself/);
+    expect((await getMoveRank(moving, 'todo', { afterTaskId: 'missing' })).error).toMatch(/target column/);
+    expect((await getMoveRank(moving, 'todo', { afterTaskId: 't1', beforeTaskId: 't0' })).error).toMatch(/must be above/);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../../src/utils/totp');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    const buffer = Buffer.from('12345678901234567890');
+    expect(base32Encode(buffer)).toBe(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).equals(buffer)).toBe(true);
+    expect(base32Decode(RFC_SECRET.toLowerCase()).equals(buffer)).toBe(true);
+  });
+
+  it('rejects invalid base32', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates 20-byte secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('returns the matching step within the drift window', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    expect(verifyCode(RFC_SECRET, '081804', 1, time)).toBe(step);
+    expect(verifyCode(RFC_SECRET, '081 804', 1, time)).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time - 30 * 1000), 1, time)).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time + 30 * 1000), 1, time)).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time + 60 * 1000), 1, time)).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('builds otpauth URLs', () => {
+    const url = buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'TaskFlow' });
+    expect(url).toBe(
+      `otpauth://totp/TaskFlow%3Aada%40example.com?secret=${RFC_SECRET}&issuer=TaskFlow&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,104 @@
+// Users by id, updated by a stand-in for User.updateOne that understands the
+// conditional updates consumeSecondFactor and consumeChallenge make
+const mockUsers = new Map();
+
+jest.mock('../../src/models/User', () => ({
+  updateOne: async (filter, update) => {
+    const user = mockUsers.get(filter._id);
+    const matches = user
+      && (!filter.twoFactorLastUsedStep || !(user.twoFactorLastUsedStep >= filter.twoFactorLastUsedStep.$not.$gte))
+      && (!filter.twoFactorRecoveryCodes || user.twoFactorRecoveryCodes.includes(filter.twoFactorRecoveryCodes))
+      && (!('twoFactorChallengeId' in filter) || user.twoFactorChallengeId === filter.twoFactorChallengeId);
+    if (!matches) return { modifiedCount: 0 };
+
+    if (update.$pull) {
+      user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes
+        .filter((hash) => hash !== update.$pull.twoFactorRecoveryCodes);
+    } else if (update.$unset) {
+      Object.keys(update.$unset).forEach((key) => delete user[key]);
+    } else {
+      Object.assign(user, update);
+    }
+    return { modifiedCount: 1 };
+  }
+}));
+
+const { generateCode } = require('../../src/utils/totp');
+const {
+  generateRecoveryCodes,
+  generateChallengeToken,
+  verifyChallengeToken,
+  consumeChallenge,
+  consumeSecondFactor
+} = require('../../src/utils/twoFactor');
+
+const USER_ID = 'u1';
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const enroll = (recoveryHashes = []) => {
+  mockUsers.clear();
+  mockUsers.set(USER_ID, { _id: USER_ID, twoFactorSecret: SECRET, twoFactorRecoveryCodes: recoveryHashes });
+  return mockUsers.get(USER_ID);
+};
+
+describe('consumeSecondFactor', () => {
+  it('accepts a TOTP code only once, even from concurrent requests', async () => {
+    const user = enroll();
+    const code = generateCode(SECRET);
+
+    const results = await Promise.all([
+      consumeSecondFactor(user, { code }),
+      consumeSecondFactor(user, { code })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  it('accepts a recovery code only once, even from concurrent requests', async () => {
+    const { codes, hashes } = generateRecoveryCodes(2);
+    const user = enroll(hashes);
+
+    const results = await Promise.all([
+      consumeSecondFactor(user, { recoveryCode: codes[0] }),
+      consumeSecondFactor(user, { recoveryCode: codes[0].toUpperCase() })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(user.twoFactorRecoveryCodes).toEqual([hashes[1]]);
+  });
+
+  it('rejects wrong codes', async () => {
+    const user = enroll(generateRecoveryCodes(1).hashes);
+    expect(await consumeSecondFactor(user, { code: generateCode(SECRET, Date.now() + 10 * 60 * 1000) })).toBe(false);
+    expect(await consumeSecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' })).toBe(false);
+    expect(await consumeSecondFactor(user, {})).toBe(false);
+  });
+});
+
+describe('login challenges', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('can be used once', async () => {
+    enroll();
+    const challenge = verifyChallengeToken(await generateChallengeToken(USER_ID));
+
+    expect(challenge).toMatchObject({ id: USER_ID });
+    expect(await consumeChallenge(challenge)).toBe(true);
+    expect(await consumeChallenge(challenge)).toBe(false);
+  });
+
+  it('are replaced by a newer login', async () => {
+    enroll();
+    const first = verifyChallengeToken(await generateChallengeToken(USER_ID));
+    const second = verifyChallengeToken(await generateChallengeToken(USER_ID));
+
+    expect(await consumeChallenge(first)).toBe(false);
+    expect(await consumeChallenge(second)).toBe(true);
+  });
+
+  it('rejects other tokens', () => {
+    expect(verifyChallengeToken('not-a-token')).toBeNull();
+  });
+});